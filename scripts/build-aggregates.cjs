@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Aggregate Snapshot Builder
+ *
+ * Pre-computes the counts the dashboard otherwise derives from raw rows on
+ * every load. Writes public/data/aggregates.json: a cube keyed by
+ * month × company × state × issue × AI category, where each cell holds
+ *
+ *   [count, timely, disputed, relief, claimed_loss, loss_complaints]
+ *
+ * The category is the analyst override (src/data/labelOverrides.json) if
+ * there is one, otherwise the classifier's primary label. claimed_loss sums
+ * the USD amounts extracted from narratives (scripts/classifiers/losses.cjs)
+ * in whole dollars and loss_complaints counts the complaints that claimed one.
+ *
+ * Dimension values are stored once in `dimensions` and cells reference them
+ * by index to keep the file small. Tombstoned (removed) complaints are left
+ * out, matching the dashboard's default view.
+ *
+ * Run after fetch-cfpb-data.cjs and classify-complaints.cjs, and before
+ * dev/build (npm run build-data).
+ *
+ * Usage: node scripts/build-aggregates.cjs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadLabelOverrides } = require('./classifiers/overrides.cjs');
+
+const COMPLAINTS_PATH = path.join(__dirname, '..', 'src', 'data', 'complaints.json');
+const CLASSIFICATIONS_PATH = path.join(__dirname, '..', 'src', 'data', 'classifications.json');
+const OUTPUT_PATH = path.join(__dirname, '..', 'public', 'data', 'aggregates.json');
+
+const DIMENSIONS = ['month', 'company', 'state', 'issue', 'category'];
+const MEASURES = ['count', 'timely', 'disputed', 'relief', 'claimed_loss', 'loss_complaints'];
+
+function loadJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Primary category of a classification record (or legacy string)
+function getPrimaryCategory(record) {
+  if (!record) return 'unclassified';
+  return typeof record === 'string' ? record : record.primary || 'unclassified';
+}
+
+function getClaimedLoss(record) {
+  return (record && typeof record === 'object' && record.loss?.claimed_usd) || 0;
+}
+
+function buildCube(complaints, classifications) {
+  const dimensions = Object.fromEntries(DIMENSIONS.map(d => [d, []]));
+  const lookups = Object.fromEntries(DIMENSIONS.map(d => [d, new Map()]));
+  const cells = new Map();
+
+  const indexOf = (dimension, value) => {
+    const lookup = lookups[dimension];
+    if (!lookup.has(value)) {
+      lookup.set(value, dimensions[dimension].length);
+      dimensions[dimension].push(value);
+    }
+    return lookup.get(value);
+  };
+
+  for (const c of complaints) {
+    if (c.removed_at || !c.date_received) continue;
+
+    const record = classifications[String(c.complaint_id)];
+    const key = [
+      indexOf('month', c.date_received.slice(0, 7)),
+      indexOf('company', c.company || 'Unknown'),
+      indexOf('state', c.state || ''),
+      indexOf('issue', c.issue || 'Unknown'),
+      indexOf('category', getPrimaryCategory(record)),
+    ];
+    const cellKey = key.join(',');
+    if (!cells.has(cellKey)) {
+      cells.set(cellKey, [...key, ...MEASURES.map(() => 0)]);
+    }
+
+    const cell = cells.get(cellKey);
+    const offset = DIMENSIONS.length;
+    cell[offset]++;
+    if (c.timely === 'Yes') cell[offset + 1]++;
+    if (c.consumer_disputed === 'Yes') cell[offset + 2]++;
+    if (c.company_response && c.company_response.toLowerCase().includes('relief')) cell[offset + 3]++;
+    const claimedLoss = getClaimedLoss(record);
+    if (claimedLoss > 0) {
+      cell[offset + 4] += Math.round(claimedLoss);
+      cell[offset + 5]++;
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    dimensionOrder: DIMENSIONS,
+    measures: MEASURES,
+    dimensions,
+    cells: [...cells.values()],
+  };
+}
+
+function main() {
+  const raw = loadJson(COMPLAINTS_PATH, null);
+  if (!raw) {
+    console.warn(`Warning: ${COMPLAINTS_PATH} not found, writing an empty aggregate snapshot.`);
+  }
+  const complaints = raw?.hits?.hits?.map(h => h._source) || [];
+  // Overrides share the `primary` field; merging them over the records keeps
+  // the extracted loss
+  const classifications = loadJson(CLASSIFICATIONS_PATH, {});
+  for (const [id, override] of Object.entries(loadLabelOverrides())) {
+    const record = classifications[id];
+    classifications[id] = record && typeof record === 'object' ? { ...record, ...override } : override;
+  }
+
+  const cube = buildCube(complaints, classifications);
+
+  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(cube), 'utf8');
+
+  const sizeKB = (fs.statSync(OUTPUT_PATH).size / 1024).toFixed(1);
+  console.log(`Wrote ${cube.cells.length} aggregate cells from ${complaints.length} complaints to ${OUTPUT_PATH} (${sizeKB} KB)`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildCube };
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Complaint Shard Builder
+ *
+ * Splits complaints.json into month-sized files the dashboard can load
+ * lazily, instead of bundling every complaint and narrative up front:
+ *
+ *   public/data/complaints/index.json            compact index of months
+ *   public/data/complaints/YYYY-MM.json          complaints without narratives
+ *   public/data/complaints/narratives/YYYY-MM.json   { complaint_id: narrative }
+ *
+ * Narratives are replaced by `narrative_length` plus a precomputed
+ * `keyword_category` (the IssueInsights keyword fallback), so the dashboard
+ * can categorise and count without downloading the text.
+ *
+ * Runs automatically at the end of fetch-cfpb-data.cjs and before dev/build.
+ *
+ * Usage: node scripts/build-shards.cjs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const COMPLAINTS_PATH = path.join(__dirname, '..', 'src', 'data', 'complaints.json');
+const SHARD_DIR = path.join(__dirname, '..', 'public', 'data', 'complaints');
+
+const { getKeywordCategory } = require('./classifiers/keywords.cjs');
+
+// Narratives of complaints the CFPB has withdrawn (`removed_at`) aren't
+// published
+function getPublishedNarrative(source) {
+  return source.removed_at ? '' : source.complaint_what_happened;
+}
+
+function toShardRow(source) {
+  const row = { ...source };
+  delete row.complaint_what_happened;
+  const narrative = getPublishedNarrative(source);
+  row.narrative_length = narrative ? narrative.length : 0;
+  if (narrative) {
+    row.keyword_category = getKeywordCategory(narrative);
+  }
+  return row;
+}
+
+function writeJson(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data), 'utf8');
+}
+
+/**
+ * Write month shards, narrative shards and the index for the given hits to
+ * `dir`, stamping the index with `now`. Existing shard files are replaced so
+ * deleted months don't linger.
+ */
+function writeShards(hits, { dir = SHARD_DIR, now = new Date() } = {}) {
+  const narrativeDir = path.join(dir, 'narratives');
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(narrativeDir, { recursive: true });
+
+  const months = new Map();
+  for (const hit of hits) {
+    const source = hit._source || {};
+    const month = (source.date_received || '').slice(0, 7) || 'unknown';
+    if (!months.has(month)) {
+      months.set(month, { rows: [], narratives: {} });
+    }
+    const shard = months.get(month);
+    shard.rows.push(toShardRow(source));
+    const narrative = getPublishedNarrative(source);
+    if (narrative) {
+      shard.narratives[String(source.complaint_id)] = narrative;
+    }
+  }
+
+  const index = {
+    generatedAt: now.toISOString(),
+    total: 0,
+    removed: 0,
+    dateRange: null,
+    months: [],
+  };
+
+  const dates = [];
+  for (const [month, shard] of [...months.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+    writeJson(path.join(dir, `${month}.json`), shard.rows);
+    writeJson(path.join(narrativeDir, `${month}.json`), shard.narratives);
+
+    const removed = shard.rows.filter(r => r.removed_at).length;
+    index.total += shard.rows.length - removed;
+    index.removed += removed;
+    index.months.push({ month, count: shard.rows.length - removed, removed });
+    shard.rows.forEach(r => r.date_received && dates.push(r.date_received));
+  }
+
+  if (dates.length > 0) {
+    dates.sort();
+    index.dateRange = {
+      oldest: dates[0].slice(0, 10),
+      newest: dates[dates.length - 1].slice(0, 10),
+    };
+  }
+
+  writeJson(path.join(dir, 'index.json'), index);
+  return index;
+}
+
+function main() {
+  let hits = [];
+  if (fs.existsSync(COMPLAINTS_PATH)) {
+    hits = JSON.parse(fs.readFileSync(COMPLAINTS_PATH, 'utf8')).hits?.hits || [];
+  } else {
+    console.warn(`Warning: ${COMPLAINTS_PATH} not found, writing an empty shard index.`);
+  }
+
+  const index = writeShards(hits);
+  console.log(`Wrote ${index.months.length} month shards (${index.total} complaints) to ${SHARD_DIR}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { SHARD_DIR, writeShards };
@@ -0,0 +1,47 @@
+/**
+ * Anthropic Claude Haiku provider (ANTHROPIC_API_KEY). Rate limits are left
+ * to the scheduler, so the SDK's own retries are off.
+ */
+
+const { buildPrompt, buildScamTypePrompt, parseResponse, parseScamTypeResponse } = require('./prompt.cjs');
+
+const MODEL = 'claude-3-haiku-20240307';
+
+module.exports = {
+  name: 'anthropic',
+  label: 'Anthropic Claude Haiku',
+  isAvailable: () => !!process.env.ANTHROPIC_API_KEY,
+
+  create() {
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    if (!apiKey) {
+      throw new Error('ANTHROPIC_API_KEY environment variable is required for the anthropic provider');
+    }
+    const Anthropic = require('@anthropic-ai/sdk');
+    const client = new Anthropic({ apiKey, maxRetries: 0 });
+
+    const send = async (prompt, parse) => {
+      const msg = await client.messages.create({
+        model: MODEL,
+        max_tokens: 2048,
+        messages: [{ role: 'user', content: prompt }],
+      });
+      return {
+        results: parse(msg.content[0].text.trim()),
+        usage: { inputTokens: msg.usage.input_tokens, outputTokens: msg.usage.output_tokens },
+      };
+    };
+
+    return {
+      model: MODEL,
+      batchSize: 10,
+      maxBatchTokens: 12000,
+      requestsPerMinute: 50,
+      concurrency: 4,
+      // USD per million tokens (list price)
+      pricing: { input: 0.25, output: 1.25 },
+      classifyBatch: batch => send(buildPrompt(batch), parseResponse),
+      classifyScamTypes: batch => send(buildScamTypePrompt(batch), parseScamTypeResponse),
+    };
+  },
+};
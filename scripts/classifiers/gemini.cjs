@@ -0,0 +1,43 @@
+/**
+ * Gemini provider (GEMINI_API_KEY). Free tier: 15 requests per minute.
+ */
+
+const { buildPrompt, buildScamTypePrompt, parseResponse, parseScamTypeResponse } = require('./prompt.cjs');
+
+const MODEL = 'gemini-2.0-flash-lite';
+
+module.exports = {
+  name: 'gemini',
+  label: 'Gemini',
+  isAvailable: () => !!process.env.GEMINI_API_KEY,
+
+  create() {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is required for the gemini provider');
+    }
+    const { GoogleGenerativeAI } = require('@google/generative-ai');
+    const model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: MODEL });
+
+    const send = async (prompt, parse) => {
+      const result = await model.generateContent(prompt);
+      const usage = result.response.usageMetadata;
+      return {
+        results: parse(result.response.text().trim()),
+        usage: usage && { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 },
+      };
+    };
+
+    return {
+      model: MODEL,
+      batchSize: 10,
+      maxBatchTokens: 12000,
+      requestsPerMinute: 15,
+      concurrency: 2,
+      // USD per million tokens (paid tier list price; the free tier costs nothing)
+      pricing: { input: 0.075, output: 0.3 },
+      classifyBatch: batch => send(buildPrompt(batch), parseResponse),
+      classifyScamTypes: batch => send(buildScamTypePrompt(batch), parseScamTypeResponse),
+    };
+  },
+};
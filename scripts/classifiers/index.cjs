@@ -0,0 +1,46 @@
+/**
+ * Classifier provider registry.
+ *
+ * A provider module exports { name, label, isAvailable(), create(options) }.
+ * create() returns a classifier:
+ *
+ *   model             model name stamped on each record
+ *   batchSize         max complaints per request
+ *   maxBatchTokens    max estimated prompt tokens per request, or null
+ *   requestsPerMinute rate limit, or null
+ *   concurrency       default number of requests in flight
+ *   pricing           { input, output } USD per million tokens, or null
+ *   classifyBatch(batch) resolves to { results, usage }: results are
+ *     { complaint_id: { primary, secondary, confidence, rationale } } and
+ *     usage { inputTokens, outputTokens } (null to estimate it)
+ *   classifyScamTypes(batch) the same for the fraud second stage, with
+ *     results { complaint_id: { scam_type } } (see scamTypes.cjs)
+ *
+ * Batches are scheduled by scheduler.cjs; the classifier stamps model,
+ * version, taxonomy and time.
+ */
+
+const PROVIDERS = [
+  require('./anthropic.cjs'),
+  require('./gemini.cjs'),
+  require('./local.cjs'),
+];
+
+const PROVIDER_NAMES = PROVIDERS.map(p => p.name);
+
+/**
+ * Provider by name, or the first available one (Anthropic, then Gemini,
+ * then the local provider, which is always available)
+ */
+function resolveProvider(name) {
+  if (name) {
+    const provider = PROVIDERS.find(p => p.name === name);
+    if (!provider) {
+      throw new Error(`Unknown classifier provider "${name}" (expected ${PROVIDER_NAMES.join(', ')})`);
+    }
+    return provider;
+  }
+  return PROVIDERS.find(p => p.isAvailable());
+}
+
+module.exports = { PROVIDERS, PROVIDER_NAMES, resolveProvider };
@@ -0,0 +1,54 @@
+/**
+ * Issue keyword rules shared by the data scripts. The keywords live in
+ * src/data/issuePatterns.json, which IssueInsights also uses, so the shard
+ * builder's `keyword_category`, the local classifier and the UI fallback
+ * all agree on categories.
+ */
+
+const ISSUE_KEYWORDS = require('../../src/data/issuePatterns.json');
+
+const CATEGORIES = Object.keys(ISSUE_KEYWORDS);
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whole-word, case-insensitive regex per keyword, for each id in a keyword
+ * file (ids without keywords, like 'other', are left out)
+ */
+function compilePatterns(keywordsById) {
+  return Object.entries(keywordsById)
+    .filter(([, keywords]) => keywords.length > 0)
+    .map(([id, keywords]) => ({
+      id,
+      keywords: keywords.map(keyword => ({
+        keyword,
+        regex: new RegExp('\\b' + escapeRegex(keyword) + '\\b', 'gi'),
+      })),
+    }));
+}
+
+const COMPILED_PATTERNS = compilePatterns(ISSUE_KEYWORDS);
+
+function countMatches(regex, text) {
+  regex.lastIndex = 0;
+  return (text.match(regex) || []).length;
+}
+
+/**
+ * Category with the most distinct keyword matches ('other' if none) -
+ * the same rule as the IssueInsights fallback
+ */
+function getKeywordCategory(text) {
+  let bestId = 'other';
+  let bestScore = 0;
+  for (const pattern of COMPILED_PATTERNS) {
+    const score = pattern.keywords.filter(k => countMatches(k.regex, text) > 0).length;
+    if (score > bestScore) {
+      bestScore = score;
+      bestId = pattern.id;
+    }
+  }
+  return bestId;
+}
+
+module.exports = { CATEGORIES, COMPILED_PATTERNS, compilePatterns, countMatches, getKeywordCategory };
@@ -0,0 +1,110 @@
+/**
+ * Local offline provider: no API key, no network. Scores each category by
+ * TF-IDF over its issuePatterns.json keywords - term frequency in the
+ * narrative, weighted by how rare the keyword is across all narratives -
+ * and picks the best, falling back to 'other' when nothing matches. Close
+ * runners-up become secondary labels, and confidence is the best score's
+ * share of the total.
+ *
+ * Uses the same keywords and whole-word matching as the UI fallback, so a
+ * keyword that decides a category in the dashboard decides it here too;
+ * the weighting only changes which category wins when several match.
+ *
+ * Scam types for fraud complaints are scored the same way over
+ * src/data/scamTypePatterns.json, falling back to 'other_fraud'.
+ */
+
+const { COMPILED_PATTERNS, countMatches } = require('./keywords.cjs');
+const { MAX_SECONDARY } = require('./schema.cjs');
+const { SCAM_TYPE_PATTERNS, OTHER_SCAM_TYPE } = require('./scamTypes.cjs');
+
+const MODEL = 'local-tfidf';
+
+function getIdfWeights(patterns, narratives) {
+  const total = narratives.length;
+  const weights = new Map();
+  for (const pattern of patterns) {
+    for (const { keyword, regex } of pattern.keywords) {
+      const docFrequency = narratives.filter(text => countMatches(regex, text) > 0).length;
+      weights.set(keyword, Math.log((total + 1) / (docFrequency + 1)) + 1);
+    }
+  }
+  return weights;
+}
+
+// Categories scoring at least this share of the best score are secondary
+const SECONDARY_RATIO = 0.5;
+
+function classify(text, patterns, idf) {
+  const scores = [];
+  for (const pattern of patterns) {
+    let score = 0;
+    const matched = [];
+    for (const { keyword, regex } of pattern.keywords) {
+      const tf = countMatches(regex, text);
+      if (tf > 0) {
+        score += (1 + Math.log(tf)) * idf.get(keyword);
+        matched.push(keyword);
+      }
+    }
+    if (score > 0) scores.push({ id: pattern.id, score, matched });
+  }
+
+  if (scores.length === 0) {
+    return { primary: 'other', secondary: [], confidence: null, rationale: 'No category keywords matched.' };
+  }
+
+  scores.sort((a, b) => b.score - a.score);
+  const [best, ...rest] = scores;
+  const total = scores.reduce((sum, s) => sum + s.score, 0);
+  return {
+    primary: best.id,
+    secondary: rest.filter(s => s.score >= best.score * SECONDARY_RATIO).slice(0, MAX_SECONDARY).map(s => s.id),
+    // Share of all keyword evidence that points at the primary category
+    confidence: Math.round((best.score / total) * 100) / 100,
+    rationale: `Matched keywords: ${best.matched.slice(0, 5).join(', ')}.`,
+  };
+}
+
+module.exports = {
+  name: 'local',
+  label: 'Local keyword TF-IDF',
+  // Stamped on records, so a stand-in local label can be recognised later
+  model: MODEL,
+  isAvailable: () => true,
+
+  /**
+   * `complaints` is the full corpus, used for keyword document frequencies
+   */
+  create({ complaints = [] } = {}) {
+    const narratives = complaints.map(c => c.complaint_what_happened).filter(Boolean);
+    const idf = getIdfWeights(COMPILED_PATTERNS, narratives);
+    // Scam-type weights are only needed for the second stage
+    let scamTypeIdf = null;
+
+    return {
+      model: MODEL,
+      batchSize: 500,
+      maxBatchTokens: null,
+      requestsPerMinute: null,
+      concurrency: 1,
+      pricing: null,
+      async classifyBatch(batch) {
+        return {
+          results: Object.fromEntries(batch.map(c => [String(c.complaint_id), classify(c.complaint_what_happened, COMPILED_PATTERNS, idf)])),
+          usage: { inputTokens: 0, outputTokens: 0 },
+        };
+      },
+      async classifyScamTypes(batch) {
+        scamTypeIdf = scamTypeIdf || getIdfWeights(SCAM_TYPE_PATTERNS, narratives);
+        return {
+          results: Object.fromEntries(batch.map(c => {
+            const { primary } = classify(c.complaint_what_happened, SCAM_TYPE_PATTERNS, scamTypeIdf);
+            return [String(c.complaint_id), { scam_type: primary === 'other' ? OTHER_SCAM_TYPE : primary }];
+          })),
+          usage: { inputTokens: 0, outputTokens: 0 },
+        };
+      },
+    };
+  },
+};
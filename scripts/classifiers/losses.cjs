@@ -0,0 +1,152 @@
+/**
+ * Monetary-loss extraction from complaint narratives, stored on each
+ * classification record as `loss`:
+ *
+ *   {
+ *     claimed_usd: 4200,                      largest dollar amount mentioned, or null
+ *     crypto: [{ amount: 0.5, asset: 'BTC' }], crypto amounts mentioned
+ *     assets: ['BTC', 'ETH'],                 assets mentioned by ticker or name
+ *     severity: 3                             1 (low) - 5 (severe)
+ *   }
+ *
+ * Rule-based rather than part of the prompt, so every provider (and the
+ * backfill of older records) gets the same numbers at no extra cost.
+ * Narratives mention the same amount several times and mix balances, fees
+ * and losses, so the largest amount is used as a conservative claim rather
+ * than a sum.
+ */
+
+// Assets matched by ticker (case-sensitive, so "SOL" but not "sol") or
+// name. Tickers that are also common words or acronyms (ADA, DOT, LINK)
+// are only matched by name.
+const ASSETS = [
+  { ticker: 'BTC', names: ['bitcoin', 'bitcoins'] },
+  { ticker: 'ETH', names: ['ethereum', 'ether'] },
+  { ticker: 'USDT', names: ['tether'] },
+  { ticker: 'USDC', names: ['usd coin'] },
+  { ticker: 'SOL', names: ['solana'] },
+  { ticker: 'DOGE', names: ['dogecoin'] },
+  { ticker: 'XRP', names: [] },
+  { ticker: 'LTC', names: ['litecoin'] },
+  { ticker: 'BCH', names: ['bitcoin cash'] },
+  { ticker: 'SHIB', names: ['shiba inu'] },
+  { ticker: 'AVAX', names: [] },
+  { ticker: 'BNB', names: [] },
+  { ticker: 'XLM', names: [] },
+  { ticker: 'ADA', names: ['cardano'], nameOnly: true },
+];
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const ASSET_PATTERNS = ASSETS.map(asset => ({
+  ticker: asset.ticker,
+  tickerRegex: asset.nameOnly ? null : new RegExp(`\\b${asset.ticker}\\b`),
+  nameRegex: asset.names.length > 0
+    ? new RegExp(`\\b(?:${asset.names.map(escapeRegex).join('|')})\\b`, 'i')
+    : null,
+}));
+
+// Any asset word, for amounts like "0.5 BTC" or "2 ether" (a number in front
+// makes lowercase tickers safe to match)
+const ASSET_WORDS = new Map(ASSETS.flatMap(asset => [
+  [asset.ticker.toLowerCase(), asset.ticker],
+  ...asset.names.map(name => [name, asset.ticker]),
+]));
+const CRYPTO_AMOUNT_REGEX = new RegExp(
+  `(\\d[\\d,]*(?:\\.\\d+)?)\\s*(${[...ASSET_WORDS.keys()].sort((a, b) => b.length - a.length).map(escapeRegex).join('|')})\\b`,
+  'gi'
+);
+
+// {$1200.00} (the CFPB's format), $1,200, $5k, 1200 dollars, USD 1200
+const USD_REGEX = /\{\$([\d,]+(?:\.\d+)?)\}|\$\s?([\d,]+(?:\.\d+)?)\s*(k|thousand|m|million)?\b|\b([\d,]+(?:\.\d+)?)\s*(?:usd|dollars)\b|\busd\s?([\d,]+(?:\.\d+)?)/gi;
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6 };
+// Amounts above this are typos or account numbers, not claims
+const MAX_AMOUNT = 1e9;
+
+// Phrases that signal financial hardship and raise severity by one
+const HARDSHIP_REGEX = /\b(?:life savings|savings|retirement|401k|pension|rent|mortgage|evict(?:ed|ion)?|homeless|disabled|disability|elderly|senior citizen|medical bills|groceries|bankrupt(?:cy)?|can'?t afford|cannot afford|unemployed)\b/i;
+
+// Claimed loss in USD at which each severity level starts
+const SEVERITY_THRESHOLDS = [[50000, 5], [10000, 4], [1000, 3], [1, 2]];
+
+function parseAmount(text) {
+  const amount = Number(text.replace(/,/g, ''));
+  return Number.isFinite(amount) ? amount : null;
+}
+
+function extractUsdAmounts(text) {
+  const amounts = [];
+  USD_REGEX.lastIndex = 0;
+  let match;
+  while ((match = USD_REGEX.exec(text)) !== null) {
+    const raw = match[1] ?? match[2] ?? match[4] ?? match[5];
+    let amount = parseAmount(raw);
+    if (amount === null) continue;
+    if (match[3]) amount *= MULTIPLIERS[match[3].toLowerCase()];
+    if (amount > 0 && amount <= MAX_AMOUNT) amounts.push(Math.round(amount * 100) / 100);
+  }
+  return amounts;
+}
+
+function extractCryptoAmounts(text) {
+  const seen = new Set();
+  const amounts = [];
+  CRYPTO_AMOUNT_REGEX.lastIndex = 0;
+  let match;
+  while ((match = CRYPTO_AMOUNT_REGEX.exec(text)) !== null) {
+    const amount = parseAmount(match[1]);
+    const asset = ASSET_WORDS.get(match[2].toLowerCase());
+    const key = `${amount} ${asset}`;
+    if (!amount || seen.has(key)) continue;
+    seen.add(key);
+    amounts.push({ amount, asset });
+  }
+  return amounts;
+}
+
+function extractAssets(text) {
+  return ASSET_PATTERNS
+    .filter(p => p.tickerRegex?.test(text) || p.nameRegex?.test(text))
+    .map(p => p.ticker);
+}
+
+function getSeverity(claimedUsd, text) {
+  const base = SEVERITY_THRESHOLDS.find(([min]) => (claimedUsd || 0) >= min)?.[1] || 1;
+  return Math.min(5, base + (HARDSHIP_REGEX.test(text) ? 1 : 0));
+}
+
+/**
+ * Loss record for a narrative, or null if it mentions no amounts or assets
+ * and shows no hardship (severity 1)
+ */
+function extractLoss(text) {
+  if (!text) return null;
+  const usd = extractUsdAmounts(text);
+  const claimedUsd = usd.length > 0 ? Math.max(...usd) : null;
+  const crypto = extractCryptoAmounts(text);
+  const assets = [...new Set([...extractAssets(text), ...crypto.map(c => c.asset)])];
+  const severity = getSeverity(claimedUsd, text);
+
+  if (claimedUsd === null && crypto.length === 0 && assets.length === 0 && severity === 1) {
+    return null;
+  }
+  return { claimed_usd: claimedUsd, crypto, assets, severity };
+}
+
+/**
+ * Normalize a stored loss record, or null
+ */
+function normalizeLoss(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const claimedUsd = Number(raw.claimed_usd);
+  return {
+    claimed_usd: raw.claimed_usd != null && Number.isFinite(claimedUsd) ? claimedUsd : null,
+    crypto: Array.isArray(raw.crypto)
+      ? raw.crypto.filter(c => c && Number.isFinite(Number(c.amount)) && typeof c.asset === 'string')
+      : [],
+    assets: Array.isArray(raw.assets) ? raw.assets.filter(a => typeof a === 'string') : [],
+    severity: Math.min(5, Math.max(1, Math.round(Number(raw.severity)) || 1)),
+  };
+}
+
+module.exports = { extractLoss, normalizeLoss };
@@ -0,0 +1,59 @@
+/**
+ * Analyst label overrides (src/data/labelOverrides.json), exported from the
+ * review panel in the dashboard's complaint detail modals:
+ *
+ *   {
+ *     "<complaint_id>": {
+ *       primary: 'fraud',
+ *       secondary: ['withdrawal'],
+ *       note: 'Romance scam',          optional reviewer note, or null
+ *       reviewed_at: ISO timestamp
+ *     }
+ *   }
+ *
+ * An override takes precedence over classifications.json everywhere, and
+ * the classifier never re-labels an overridden complaint.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CATEGORIES } = require('./keywords.cjs');
+const { MAX_SECONDARY } = require('./schema.cjs');
+
+const LABEL_OVERRIDES_PATH = path.join(__dirname, '..', '..', 'src', 'data', 'labelOverrides.json');
+
+/**
+ * Normalize one override, or null if it has no valid primary category
+ */
+function normalizeOverride(raw) {
+  if (!raw || !CATEGORIES.includes(raw.primary)) return null;
+  const secondary = Array.isArray(raw.secondary)
+    ? [...new Set(raw.secondary.filter(c => CATEGORIES.includes(c) && c !== raw.primary))].slice(0, MAX_SECONDARY)
+    : [];
+  return {
+    primary: raw.primary,
+    secondary,
+    note: typeof raw.note === 'string' && raw.note.trim() ? raw.note.trim() : null,
+    reviewed_at: raw.reviewed_at || null,
+  };
+}
+
+/**
+ * Valid overrides keyed by complaint ID ({} if the file is missing)
+ */
+function loadLabelOverrides() {
+  if (!fs.existsSync(LABEL_OVERRIDES_PATH)) return {};
+  const raw = JSON.parse(fs.readFileSync(LABEL_OVERRIDES_PATH, 'utf-8'));
+  const overrides = {};
+  for (const [id, value] of Object.entries(raw)) {
+    const override = normalizeOverride(value);
+    if (override) {
+      overrides[String(id)] = override;
+    } else {
+      console.warn(`  Ignoring invalid label override for ID ${id}: ${JSON.stringify(value)}`);
+    }
+  }
+  return overrides;
+}
+
+module.exports = { LABEL_OVERRIDES_PATH, normalizeOverride, loadLabelOverrides };
@@ -0,0 +1,139 @@
+/**
+ * Prompt and response handling shared by the LLM classifier providers
+ */
+
+const crypto = require('crypto');
+const { normalizeClassification, MAX_SECONDARY } = require('./schema.cjs');
+const { CATEGORIES } = require('./keywords.cjs');
+const { SCAM_TYPES, SCAM_TYPE_DESCRIPTIONS, normalizeScamType } = require('./scamTypes.cjs');
+
+// Narratives longer than this are cut; batches are sized by token estimate
+// (see scheduler.cjs), so long narratives get smaller batches instead
+const MAX_NARRATIVE_CHARS = 8000;
+
+// Rough token count for budgeting and cost estimates (about 4 characters
+// per token for English text); providers report exact usage when they can
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function formatComplaint(c, i) {
+  return `Complaint ${i + 1} (ID: ${c.complaint_id}):\n${c.complaint_what_happened.slice(0, MAX_NARRATIVE_CHARS)}`;
+}
+
+/**
+ * Estimated prompt tokens one complaint adds to a batch
+ */
+function estimateComplaintTokens(complaint) {
+  return estimateTokens(formatComplaint(complaint, 0)) + 5;
+}
+
+function buildPrompt(batch) {
+  const complaintsText = batch.map(formatComplaint).join('\n\n---\n\n');
+
+  return `You are classifying consumer complaints about cryptocurrency companies.
+
+Classify each complaint with ONE primary category, plus up to ${MAX_SECONDARY} secondary categories that also clearly apply:
+- locked_account: Account access issues (locked, frozen, suspended, can't login)
+- verification: KYC/identity verification problems (documents, selfie, ID rejected)
+- withdrawal: Can't withdraw or transfer funds out
+- customer_service: Poor support, no response, long wait times
+- fraud: Scams, unauthorized transactions, hacking, stolen funds, phishing
+- fees: Unexpected fees, hidden charges, overcharged
+- other: Doesn't fit above categories
+
+IMPORTANT: The primary category is the PRIMARY issue, not incidental mentions. For example, if someone describes being scammed and their account was then closed, the primary issue is "fraud" and "locked_account" is secondary. Leave secondary empty unless another category is a real part of the complaint.
+
+For each complaint also give a confidence between 0 and 1 for the primary category, and a one-sentence rationale.
+
+Return ONLY valid JSON with no markdown formatting:
+{"<complaint_id>": {"primary": "<category>", "secondary": ["<category>"], "confidence": 0.9, "rationale": "<one sentence>"}, ...}
+
+${complaintsText}`;
+}
+
+// Second stage, for complaints labelled fraud
+function buildScamTypePrompt(batch) {
+  const complaintsText = batch.map(formatComplaint).join('\n\n---\n\n');
+  const types = SCAM_TYPES.map(id => `- ${id}: ${SCAM_TYPE_DESCRIPTIONS[id]}`).join('\n');
+
+  return `You are sub-classifying consumer complaints about cryptocurrency companies. Each complaint below was already labelled as fraud or a scam.
+
+Assign each complaint ONE scam type:
+${types}
+
+Pick the type that describes how the consumer was defrauded. For example, a scammer met on a dating app who then directs the consumer to a fake trading platform is "romance", not "investment_scam".
+
+Return ONLY valid JSON with no markdown formatting:
+{"<complaint_id>": "<scam type>", ...}
+
+${complaintsText}`;
+}
+
+// Estimated tokens of the prompt around the complaints (the scam-type
+// prompt is shorter, so this is an upper bound for both stages)
+const PROMPT_OVERHEAD_TOKENS = estimateTokens(buildPrompt([]));
+
+// Hash of the category list, scam types and prompt wording, stamped on
+// every record as `taxonomy`. Editing any of them changes it, which marks
+// older records stale for --reclassify.
+const TAXONOMY_VERSION = crypto
+  .createHash('sha256')
+  .update(JSON.stringify([CATEGORIES, buildPrompt([]), SCAM_TYPES, buildScamTypePrompt([])]))
+  .digest('hex')
+  .slice(0, 12);
+
+// Extract the JSON object from a reply (handles preamble text, code fences, etc.)
+function extractJson(text) {
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('No JSON object found in response');
+  return JSON.parse(jsonMatch[0]);
+}
+
+/**
+ * Parse a model reply into { id: { primary, secondary, confidence, rationale } },
+ * dropping entries without a valid primary category
+ */
+function parseResponse(text) {
+  const parsed = extractJson(text);
+
+  // Validate categories
+  const validated = {};
+  for (const [id, value] of Object.entries(parsed)) {
+    const record = normalizeClassification(value);
+    if (record) {
+      const { primary, secondary, confidence, rationale } = record;
+      validated[String(id)] = { primary, secondary, confidence, rationale };
+    } else {
+      console.warn(`  Invalid classification ${JSON.stringify(value)} for ID ${id}, skipping`);
+    }
+  }
+  return validated;
+}
+
+/**
+ * Parse a scam-type reply into { id: { scam_type } }, dropping unknown types
+ */
+function parseScamTypeResponse(text) {
+  const validated = {};
+  for (const [id, value] of Object.entries(extractJson(text))) {
+    const scamType = normalizeScamType(typeof value === 'string' ? value : value?.scam_type);
+    if (scamType) {
+      validated[String(id)] = { scam_type: scamType };
+    } else {
+      console.warn(`  Invalid scam type ${JSON.stringify(value)} for ID ${id}, skipping`);
+    }
+  }
+  return validated;
+}
+
+module.exports = {
+  TAXONOMY_VERSION,
+  PROMPT_OVERHEAD_TOKENS,
+  estimateTokens,
+  estimateComplaintTokens,
+  buildPrompt,
+  buildScamTypePrompt,
+  parseResponse,
+  parseScamTypeResponse,
+};
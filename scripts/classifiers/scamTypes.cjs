@@ -0,0 +1,42 @@
+/**
+ * Scam typology for the classifier's second stage: complaints labelled
+ * fraud get a `scam_type` on their classification record. The keywords
+ * live in src/data/scamTypePatterns.json (used by the local provider) and
+ * the display names in src/utils/classificationLabels.js.
+ */
+
+const SCAM_TYPE_KEYWORDS = require('../../src/data/scamTypePatterns.json');
+const { compilePatterns } = require('./keywords.cjs');
+
+const SCAM_TYPES = Object.keys(SCAM_TYPE_KEYWORDS);
+
+// Fallback when no other type fits
+const OTHER_SCAM_TYPE = 'other_fraud';
+
+// Definitions given to the LLM providers
+const SCAM_TYPE_DESCRIPTIONS = {
+  romance: 'Pig butchering or romance scams - a relationship built online (dating apps, social media, messaging) that leads to sending or "investing" crypto',
+  impersonation: "Scammers posing as the company's support, a bank, a government agency or someone the consumer knows",
+  phishing: 'Phishing links, fake websites or messages, SIM swaps and stolen 2FA codes or seed phrases',
+  account_takeover: "Someone else got into the consumer's account and moved funds, with no lure described",
+  investment_scam: 'Fake investment or trading platforms, guaranteed returns, "taxes" or fees demanded to withdraw profits',
+  merchant_dispute: 'Paid a merchant or person for goods or services that never arrived or were not as described',
+  other_fraud: 'Fraud that fits none of the above, or too vague to tell',
+};
+
+const SCAM_TYPE_PATTERNS = compilePatterns(SCAM_TYPE_KEYWORDS);
+
+/**
+ * Scam type from a stored or provider-returned value, or null if unknown
+ */
+function normalizeScamType(value) {
+  return SCAM_TYPES.includes(value) ? value : null;
+}
+
+module.exports = {
+  SCAM_TYPES,
+  OTHER_SCAM_TYPE,
+  SCAM_TYPE_DESCRIPTIONS,
+  SCAM_TYPE_PATTERNS,
+  normalizeScamType,
+};
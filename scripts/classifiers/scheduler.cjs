@@ -0,0 +1,262 @@
+/**
+ * Batch scheduler shared by classify-complaints.cjs and
+ * evaluate-classifier.cjs.
+ *
+ * Complaints are packed into batches by count (classifier.batchSize) and
+ * estimated prompt tokens (classifier.maxBatchTokens), then sent by a pool
+ * of `concurrency` workers. A token-bucket limiter keeps requests under the
+ * provider's requests-per-minute; on a 429 it waits out the retry-after the
+ * API asked for and halves its rate, then creeps back up as requests
+ * succeed. Token usage (reported by the provider, or estimated) is priced
+ * with classifier.pricing for a running cost estimate, and `maxCost` stops
+ * sending new batches once the estimate reaches it.
+ */
+
+const { PROMPT_OVERHEAD_TOKENS, estimateComplaintTokens } = require('./prompt.cjs');
+
+const MAX_RETRIES = 3;
+const MAX_RATE_LIMIT_RETRIES = 6;
+// Output tokens per complaint when the provider doesn't report usage
+const ESTIMATED_OUTPUT_TOKENS = 60;
+// Lowest rate the limiter backs off to, as a share of the configured rate
+const MIN_RATE_SHARE = 0.1;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Token bucket allowing `requestsPerMinute`, with bursts of up to `burst`
+ * requests. Without a rate, take() never waits.
+ */
+function createRateLimiter({ requestsPerMinute, burst = 1 }) {
+  if (!requestsPerMinute) {
+    return { take: async () => {}, backOff() {}, recover() {}, get requestsPerMinute() { return null; } };
+  }
+
+  const maxRate = requestsPerMinute / 60000; // tokens per ms
+  let rate = maxRate;
+  let tokens = burst;
+  let updatedAt = Date.now();
+  let blockedUntil = 0;
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - updatedAt) * rate);
+    updatedAt = now;
+  };
+
+  return {
+    async take() {
+      for (;;) {
+        refill();
+        const blockedFor = blockedUntil - Date.now();
+        if (blockedFor > 0) {
+          await sleep(blockedFor);
+        } else if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        } else {
+          await sleep(Math.ceil((1 - tokens) / rate));
+        }
+      }
+    },
+    // After a 429: no requests for `waitMs`, then at half the rate
+    backOff(waitMs) {
+      refill();
+      blockedUntil = Math.max(blockedUntil, Date.now() + waitMs);
+      rate = Math.max(maxRate * MIN_RATE_SHARE, rate / 2);
+      tokens = 0;
+    },
+    // After a success: step back towards the configured rate
+    recover() {
+      refill();
+      rate = Math.min(maxRate, rate + maxRate * MIN_RATE_SHARE);
+    },
+    get requestsPerMinute() {
+      return Math.round(rate * 60000 * 10) / 10;
+    },
+  };
+}
+
+function isRateLimited(err) {
+  return err?.status === 429 || /\b429\b|rate.?limit|resource.?exhausted/i.test(err?.message || '');
+}
+
+/**
+ * Milliseconds the API asked us to wait, from a Retry-After header
+ * (Anthropic) or a RetryInfo detail (Gemini), or null
+ */
+function getRetryAfterMs(err) {
+  const header = typeof err?.headers?.get === 'function'
+    ? err.headers.get('retry-after')
+    : err?.headers?.['retry-after'];
+  if (header) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const retryInfo = (err?.errorDetails || []).find(d => d?.retryDelay);
+  const delay = retryInfo && /^([\d.]+)s$/.exec(retryInfo.retryDelay);
+  return delay ? Number(delay[1]) * 1000 : null;
+}
+
+/**
+ * Split complaints into batches of at most `batchSize` complaints and about
+ * `maxBatchTokens` estimated prompt tokens (a single oversized complaint
+ * gets a batch of its own)
+ */
+function packBatches(complaints, { batchSize, maxBatchTokens }) {
+  const batches = [];
+  let batch = [];
+  let tokens = PROMPT_OVERHEAD_TOKENS;
+  for (const complaint of complaints) {
+    const complaintTokens = maxBatchTokens ? estimateComplaintTokens(complaint) : 0;
+    const full = batch.length >= batchSize ||
+      (maxBatchTokens && batch.length > 0 && tokens + complaintTokens > maxBatchTokens);
+    if (full) {
+      batches.push(batch);
+      batch = [];
+      tokens = PROMPT_OVERHEAD_TOKENS;
+    }
+    batch.push(complaint);
+    tokens += complaintTokens;
+  }
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
+
+/**
+ * Running token and cost totals. `pricing` is USD per million tokens
+ * ({ input, output }), or null for free providers.
+ */
+function createUsageTracker(pricing) {
+  const totals = { requests: 0, inputTokens: 0, outputTokens: 0, estimatedRequests: 0, cost: 0 };
+  return {
+    totals,
+    add(usage, estimated) {
+      totals.requests++;
+      if (estimated) totals.estimatedRequests++;
+      totals.inputTokens += usage.inputTokens;
+      totals.outputTokens += usage.outputTokens;
+      if (pricing) {
+        totals.cost += (usage.inputTokens * pricing.input + usage.outputTokens * pricing.output) / 1e6;
+      }
+    },
+  };
+}
+
+function estimateUsage(batch) {
+  return {
+    inputTokens: PROMPT_OVERHEAD_TOKENS + batch.reduce((sum, c) => sum + estimateComplaintTokens(c), 0),
+    outputTokens: batch.length * ESTIMATED_OUTPUT_TOKENS,
+  };
+}
+
+// One batch, retrying failures with a linear backoff and rate limits after
+// the wait the API asked for. Resolves to null if every attempt fails.
+async function sendBatch(classifier, batch, limiter, stats) {
+  let failures = 0;
+  let rateLimits = 0;
+  for (;;) {
+    await limiter.take();
+    try {
+      const response = await classifier.classifyBatch(batch);
+      limiter.recover();
+      return response;
+    } catch (err) {
+      if (isRateLimited(err) && rateLimits < MAX_RATE_LIMIT_RETRIES) {
+        rateLimits++;
+        stats.rateLimited++;
+        const waitMs = getRetryAfterMs(err) ?? rateLimits * 10000;
+        limiter.backOff(waitMs);
+        console.warn(`  Rate limited; waiting ${Math.ceil(waitMs / 1000)}s, then ${limiter.requestsPerMinute} requests/min`);
+        continue;
+      }
+      failures++;
+      console.error(`  Attempt ${failures}/${MAX_RETRIES} failed: ${err.message}`);
+      if (failures >= MAX_RETRIES) return null;
+      const backoff = failures * 5000;
+      console.log(`  Retrying in ${backoff / 1000}s...`);
+      await sleep(backoff);
+    }
+  }
+}
+
+/**
+ * Classify `complaints` with a provider's classifier. onBatch(results) is
+ * called as each batch completes (in completion order). Options:
+ * concurrency and requestsPerMinute override the classifier's defaults;
+ * maxCost (USD) stops sending batches once the cost estimate reaches it.
+ *
+ * Resolves to a run summary: counts, token usage, cost and timing.
+ */
+async function runClassification(classifier, complaints, options = {}) {
+  const { onBatch = () => {}, maxCost = null } = options;
+  const concurrency = Math.max(1, options.concurrency || classifier.concurrency || 1);
+  const requestsPerMinute = options.requestsPerMinute || classifier.requestsPerMinute;
+  const limiter = createRateLimiter({ requestsPerMinute, burst: concurrency });
+  const usage = createUsageTracker(classifier.pricing);
+  const batches = packBatches(complaints, classifier);
+  const stats = { classified: 0, failed: 0, skipped: 0, rateLimited: 0 };
+  const startedAt = Date.now();
+
+  console.log(`Processing ${batches.length} batches of up to ${classifier.batchSize} (concurrency ${concurrency}, ${requestsPerMinute ? `${requestsPerMinute} requests/min` : 'no rate limit'})...`);
+
+  let next = 0;
+  let done = 0;
+  const worker = async () => {
+    while (next < batches.length) {
+      const index = next++;
+      const batch = batches[index];
+      if (maxCost !== null && usage.totals.cost >= maxCost) {
+        stats.skipped += batch.length;
+        continue;
+      }
+
+      const response = await sendBatch(classifier, batch, limiter, stats);
+      done++;
+      if (!response) {
+        stats.failed += batch.length;
+        console.error(`Batch ${index + 1}/${batches.length}: all retries failed, skipping ${batch.length} complaints`);
+        continue;
+      }
+
+      const { results, usage: reported } = response;
+      usage.add(reported || estimateUsage(batch), !reported);
+      const count = Object.keys(results).length;
+      stats.classified += count;
+      stats.failed += batch.length - count;
+      onBatch(results);
+
+      const cost = classifier.pricing ? ` | ~$${usage.totals.cost.toFixed(4)}` : '';
+      console.log(`Batch ${index + 1}/${batches.length} (${done} done): classified ${count}/${batch.length} | ${usage.totals.inputTokens + usage.totals.outputTokens} tokens${cost}`);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, batches.length) }, worker));
+
+  if (stats.skipped > 0) {
+    console.warn(`Cost limit of $${maxCost} reached; ${stats.skipped} complaints were not sent`);
+  }
+
+  return {
+    model: classifier.model,
+    complaints: complaints.length,
+    batches: batches.length,
+    concurrency,
+    requestsPerMinute: requestsPerMinute || null,
+    ...stats,
+    ...usage.totals,
+    cost: classifier.pricing ? Math.round(usage.totals.cost * 10000) / 10000 : null,
+    durationMs: Date.now() - startedAt,
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  getRetryAfterMs,
+  packBatches,
+  runClassification,
+};
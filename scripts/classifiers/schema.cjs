@@ -0,0 +1,97 @@
+/**
+ * Classification record schema, shared by the classifier, its providers
+ * and the other data scripts:
+ *
+ *   {
+ *     primary: 'fraud',               main category
+ *     secondary: ['locked_account'],  other categories that also apply
+ *     confidence: 0.82,               0-1, null if the provider gave none
+ *     rationale: 'Scammer ...',       one-sentence reason, or null
+ *     model: 'gemini-2.0-flash-lite', provider model that produced it
+ *     version: 2,                     CLASSIFICATION_VERSION at the time
+ *     taxonomy: '3f9a1c0b2e7d',       TAXONOMY_VERSION (prompt.cjs) at the time
+ *     classified_at: ISO timestamp,
+ *     loss: { claimed_usd, crypto, assets, severity }  see losses.cjs, or null
+ *     scam_type: 'romance',           fraud subtype (scamTypes.cjs), or null
+ *   }
+ *
+ * Version 1 is the original single-category string; migrated records keep
+ * their category as `primary` with no confidence, rationale or model.
+ * Records without the current `taxonomy` were labelled against an older
+ * category list or prompt and are picked up by `--reclassify`. `scam_type`
+ * is set by a second stage that only runs for complaints labelled fraud -
+ * by the classifier or by an analyst override, so a record of another
+ * category can carry one. It is null for fraud records that haven't been
+ * through that stage.
+ */
+
+const { CATEGORIES } = require('./keywords.cjs');
+const { normalizeLoss } = require('./losses.cjs');
+const { normalizeScamType } = require('./scamTypes.cjs');
+
+const CLASSIFICATION_VERSION = 2;
+const LEGACY_VERSION = 1;
+const MAX_SECONDARY = 2;
+
+function clampConfidence(value) {
+  const number = Number(value);
+  if (value === null || value === undefined || Number.isNaN(number)) return null;
+  return Math.min(1, Math.max(0, number));
+}
+
+/**
+ * Normalize a stored or provider-returned classification (legacy string or
+ * object) into a full record. Returns null if it has no valid primary.
+ */
+function normalizeClassification(raw) {
+  if (typeof raw === 'string') {
+    raw = { primary: raw, version: LEGACY_VERSION };
+  }
+  if (!raw || !CATEGORIES.includes(raw.primary)) return null;
+
+  const secondary = Array.isArray(raw.secondary)
+    ? [...new Set(raw.secondary.filter(c => CATEGORIES.includes(c) && c !== raw.primary))].slice(0, MAX_SECONDARY)
+    : [];
+
+  return {
+    primary: raw.primary,
+    secondary,
+    confidence: clampConfidence(raw.confidence),
+    rationale: typeof raw.rationale === 'string' && raw.rationale.trim() ? raw.rationale.trim() : null,
+    model: raw.model || null,
+    version: raw.version ?? LEGACY_VERSION,
+    taxonomy: raw.taxonomy || null,
+    classified_at: raw.classified_at || null,
+    loss: normalizeLoss(raw.loss),
+    scam_type: normalizeScamType(raw.scam_type),
+  };
+}
+
+// Drop fields normalizeClassification fills back in (null, [] and the legacy
+// version), so the ~14k migrated records stay one short line each
+function compactRecord(record) {
+  return Object.fromEntries(Object.entries(record).filter(([key, value]) =>
+    value !== null &&
+    !(Array.isArray(value) && value.length === 0) &&
+    !(key === 'version' && value === LEGACY_VERSION)
+  ));
+}
+
+/**
+ * Serialize classifications with one record per line, so data refreshes
+ * produce readable diffs. Default fields are left out; read records back
+ * through normalizeClassification.
+ */
+function serializeClassifications(classifications) {
+  const lines = Object.entries(classifications)
+    .map(([id, record]) => `  ${JSON.stringify(id)}: ${JSON.stringify(compactRecord(record))}`);
+  return lines.length > 0 ? `{\n${lines.join(',\n')}\n}\n` : '{}\n';
+}
+
+module.exports = {
+  CLASSIFICATION_VERSION,
+  LEGACY_VERSION,
+  MAX_SECONDARY,
+  normalizeClassification,
+  serializeClassifications,
+};
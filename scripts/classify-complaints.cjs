@@ -1,183 +1,425 @@
+#!/usr/bin/env node
+
+/**
+ * Complaint Classifier
+ *
+ * Assigns each complaint narrative a primary category (locked_account,
+ * verification, withdrawal, customer_service, fraud, fees, other), optional
+ * secondary categories, a confidence and a rationale, and stores the record
+ * in src/data/classifications.json (schema: scripts/classifiers/schema.cjs).
+ * Only unclassified complaints are sent, and results are saved after every
+ * batch.
+ *
+ * Batches are sized by an estimated token budget and sent concurrently
+ * within the provider's rate limit, backing off on 429s (see
+ * scripts/classifiers/scheduler.cjs). --concurrency and --rpm override the
+ * provider's defaults, and --max-cost stops once the running cost estimate
+ * (USD) reaches it. The run ends with a token/cost summary, which is also
+ * added to the GitHub Actions job summary.
+ *
+ * Providers live in scripts/classifiers/:
+ *   anthropic  Claude Haiku (ANTHROPIC_API_KEY)
+ *   gemini     Gemini Flash Lite (GEMINI_API_KEY)
+ *   local      offline keyword TF-IDF, built from src/data/issuePatterns.json
+ *
+ * Without --provider (or CLASSIFIER_PROVIDER) the first provider with an API
+ * key is used, falling back to local - so forks and air-gapped CI without
+ * keys still classify. Local labels only stand in until an LLM provider is
+ * used: from then on they count as stale for --reclassify.
+ *
+ * Every record also carries the claimed loss, assets and severity
+ * extracted from the narrative (scripts/classifiers/losses.cjs). Extraction
+ * is rule-based, so it runs for every classified complaint on each run and
+ * rule changes reach older records without re-classifying them.
+ *
+ * Complaints labelled fraud then go through a second stage that assigns a
+ * scam type (romance, impersonation, phishing, ... - see
+ * scripts/classifiers/scamTypes.cjs) with the same provider, in both modes.
+ * --max-cost covers both stages.
+ *
+ * Complaints with an analyst override in src/data/labelOverrides.json (see
+ * scripts/classifiers/overrides.cjs) are never re-labelled, in either mode.
+ * The scam-type stage goes by the override: complaints the analyst labelled
+ * fraud get a scam type whatever the classifier said, and those moved out of
+ * fraud don't.
+ *
+ * Each record is stamped with TAXONOMY_VERSION, a hash of the category
+ * list, scam types and prompts. After any of them changes, --reclassify re-labels complaints whose
+ * stamp is out of date (legacy and oldest first), at most --budget per run,
+ * and writes a report of how many labels moved between categories to
+ * reports/reclassify-report.json.
+ *
+ * Usage: node scripts/classify-complaints.cjs [--provider anthropic|gemini|local]
+ *          [--concurrency 4] [--rpm 50] [--max-cost 1.50]
+ *        node scripts/classify-complaints.cjs --reclassify [--budget 500]
+ */
+
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { resolveProvider } = require('./classifiers/index.cjs');
+const localProvider = require('./classifiers/local.cjs');
+const { TAXONOMY_VERSION } = require('./classifiers/prompt.cjs');
+const { extractLoss } = require('./classifiers/losses.cjs');
+const { loadLabelOverrides } = require('./classifiers/overrides.cjs');
+const { runClassification } = require('./classifiers/scheduler.cjs');
+const {
+  CLASSIFICATION_VERSION,
+  normalizeClassification,
+  serializeClassifications,
+} = require('./classifiers/schema.cjs');
 
 const COMPLAINTS_PATH = path.join(__dirname, '..', 'src', 'data', 'complaints.json');
 const CLASSIFICATIONS_PATH = path.join(__dirname, '..', 'src', 'data', 'classifications.json');
+const REPORT_PATH = path.join(__dirname, '..', 'reports', 'reclassify-report.json');
 
-const CATEGORIES = [
-  'locked_account', 'verification', 'withdrawal',
-  'customer_service', 'fraud', 'fees', 'other'
-];
-
-const BATCH_SIZE = 10;
-const RPM_LIMIT = 15;
-const DELAY_BETWEEN_BATCHES = Math.ceil(60000 / RPM_LIMIT); // ~4s between requests
-
-// Determine which provider to use
-const USE_ANTHROPIC = !!process.env.ANTHROPIC_API_KEY;
-
-async function getClient() {
-  if (USE_ANTHROPIC) {
-    const Anthropic = require('@anthropic-ai/sdk');
-    return new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-  }
-  const { GoogleGenerativeAI } = require('@google/generative-ai');
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    throw new Error('GEMINI_API_KEY or ANTHROPIC_API_KEY environment variable is required');
-  }
-  const genAI = new GoogleGenerativeAI(apiKey);
-  return genAI.getGenerativeModel({ model: 'gemini-2.0-flash-lite' });
-}
+// Default cap on complaints re-labelled by one --reclassify run
+const DEFAULT_RECLASSIFY_BUDGET = 500;
 
+// Legacy flat entries are upgraded in memory (see migrate-classifications.cjs)
 function loadClassifications() {
+  let raw;
   try {
-    return JSON.parse(fs.readFileSync(CLASSIFICATIONS_PATH, 'utf-8'));
+    raw = JSON.parse(fs.readFileSync(CLASSIFICATIONS_PATH, 'utf-8'));
   } catch {
     return {};
   }
+  const classifications = {};
+  for (const [id, value] of Object.entries(raw)) {
+    const record = normalizeClassification(value);
+    if (record) classifications[id] = record;
+  }
+  return classifications;
 }
 
 function saveClassifications(classifications) {
-  fs.writeFileSync(CLASSIFICATIONS_PATH, JSON.stringify(classifications, null, 2) + '\n');
+  fs.writeFileSync(CLASSIFICATIONS_PATH, serializeClassifications(classifications));
+}
+
+// Add model, schema and taxonomy versions, timestamp and claimed loss to a
+// provider's results
+function stampResults(results, model, narratives) {
+  const classifiedAt = new Date().toISOString();
+  const stamped = {};
+  for (const [id, value] of Object.entries(results)) {
+    const record = normalizeClassification({
+      ...value,
+      model,
+      version: CLASSIFICATION_VERSION,
+      taxonomy: TAXONOMY_VERSION,
+      classified_at: classifiedAt,
+      loss: extractLoss(narratives.get(id)),
+    });
+    if (record) stamped[id] = record;
+  }
+  return stamped;
+}
+
+/**
+ * Re-extract the claimed loss of every classified complaint. Returns how
+ * many records changed.
+ */
+function updateLosses(classifications, narratives) {
+  let changed = 0;
+  for (const [id, record] of Object.entries(classifications)) {
+    if (!narratives.has(id)) continue;
+    const loss = extractLoss(narratives.get(id));
+    if (JSON.stringify(loss) !== JSON.stringify(record.loss)) {
+      record.loss = loss;
+      changed++;
+    }
+  }
+  return changed;
 }
 
-function getUnclassifiedComplaints(complaints, classifications) {
+function hasNarrative(complaint) {
+  const narrative = complaint.complaint_what_happened;
+  return Boolean(narrative && narrative.length > 50);
+}
+
+function getUnclassifiedComplaints(complaints, classifications, overrides) {
   return complaints.filter(c => {
     const id = String(c.complaint_id);
-    const narrative = c.complaint_what_happened;
-    return narrative && narrative.length > 50 && !classifications[id];
+    return hasNarrative(c) && !classifications[id] && !overrides[id];
   });
 }
 
-function buildPrompt(batch) {
-  const complaintsText = batch.map((c, i) =>
-    `Complaint ${i + 1} (ID: ${c.complaint_id}):\n${c.complaint_what_happened.slice(0, 1500)}`
-  ).join('\n\n---\n\n');
+// The label the dashboard shows: the analyst override, else the classifier's
+function getEffectivePrimary(id, classifications, overrides) {
+  return overrides[id]?.primary ?? classifications[id]?.primary;
+}
 
-  return `You are classifying consumer complaints about cryptocurrency companies.
+/**
+ * Classified complaints labelled fraud, by override or classifier, without a
+ * scam type. The scam type is stored on the classifier's record.
+ */
+function getUntypedFraudComplaints(complaints, classifications, overrides) {
+  return complaints.filter(c => {
+    const id = String(c.complaint_id);
+    const record = classifications[id];
+    return hasNarrative(c) && record && !record.scam_type &&
+      getEffectivePrimary(id, classifications, overrides) === 'fraud';
+  });
+}
 
-Classify each complaint into exactly ONE category:
-- locked_account: Account access issues (locked, frozen, suspended, can't login)
-- verification: KYC/identity verification problems (documents, selfie, ID rejected)
-- withdrawal: Can't withdraw or transfer funds out
-- customer_service: Poor support, no response, long wait times
-- fraud: Scams, unauthorized transactions, hacking, stolen funds, phishing
-- fees: Unexpected fees, hidden charges, overcharged
-- other: Doesn't fit above categories
+// Out of date taxonomy, or a local fallback label when an LLM provider is
+// running
+function isStale(record, provider) {
+  return record.taxonomy !== TAXONOMY_VERSION ||
+    (provider.name !== localProvider.name && record.model === localProvider.model);
+}
 
-IMPORTANT: Classify based on the PRIMARY issue, not incidental mentions. For example, if someone describes being scammed and their account was then closed, the primary issue is "fraud" not "locked_account".
+/**
+ * Classified complaints that are stale for this provider, legacy records
+ * (no timestamp) first and then oldest first, so repeated budgeted runs
+ * work through the backlog
+ */
+function getStaleComplaints(complaints, classifications, overrides, provider) {
+  return complaints
+    .filter(c => {
+      const id = String(c.complaint_id);
+      const record = classifications[id];
+      return hasNarrative(c) && record && isStale(record, provider) && !overrides[id];
+    })
+    .sort((a, b) => {
+      const aTime = classifications[String(a.complaint_id)].classified_at || '';
+      const bTime = classifications[String(b.complaint_id)].classified_at || '';
+      return aTime.localeCompare(bTime);
+    });
+}
 
-Return ONLY valid JSON with no markdown formatting:
-{"<complaint_id>": "<category>", ...}
+/**
+ * Count primary-category moves between the previous and new records:
+ * { total, changed, moves: { 'fraud -> withdrawal': n }, byCategory }
+ */
+function diffClassifications(previous, results) {
+  const moves = {};
+  const byCategory = {};
+  let changed = 0;
+  const bump = (category, key) => {
+    byCategory[category] = byCategory[category] || { before: 0, after: 0 };
+    byCategory[category][key]++;
+  };
+
+  for (const [id, record] of Object.entries(results)) {
+    const before = previous[id]?.primary;
+    if (!before) continue;
+    bump(before, 'before');
+    bump(record.primary, 'after');
+    if (before !== record.primary) {
+      const key = `${before} -> ${record.primary}`;
+      moves[key] = (moves[key] || 0) + 1;
+      changed++;
+    }
+  }
 
-${complaintsText}`;
+  const sortedMoves = Object.fromEntries(Object.entries(moves).sort((a, b) => b[1] - a[1]));
+  return { total: Object.keys(results).length, changed, moves: sortedMoves, byCategory };
 }
 
-async function callModel(client, prompt) {
-  if (USE_ANTHROPIC) {
-    const msg = await client.messages.create({
-      model: 'claude-3-haiku-20240307',
-      max_tokens: 1024,
-      messages: [{ role: 'user', content: prompt }],
-    });
-    return msg.content[0].text.trim();
-  }
-  const result = await client.generateContent(prompt);
-  return result.response.text().trim();
-}
-
-async function classifyBatch(model, batch, retries = 3) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const prompt = buildPrompt(batch);
-      const text = await callModel(model, prompt);
-
-      // Extract JSON object from response (handles preamble text, code fences, etc.)
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) throw new Error('No JSON object found in response');
-      const parsed = JSON.parse(jsonMatch[0]);
-
-      // Validate categories
-      const validated = {};
-      for (const [id, category] of Object.entries(parsed)) {
-        if (CATEGORIES.includes(category)) {
-          validated[String(id)] = category;
-        } else {
-          console.warn(`  Invalid category "${category}" for ID ${id}, skipping`);
-        }
-      }
-      return validated;
-    } catch (err) {
-      console.error(`  Attempt ${attempt}/${retries} failed: ${err.message}`);
-      if (attempt < retries) {
-        const backoff = attempt * 5000;
-        console.log(`  Retrying in ${backoff / 1000}s...`);
-        await sleep(backoff);
-      }
-    }
+function writeReclassifyReport(diff, details) {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    taxonomy: TAXONOMY_VERSION,
+    ...details,
+    ...diff,
+  };
+
+  fs.mkdirSync(path.dirname(REPORT_PATH), { recursive: true });
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2) + '\n', 'utf8');
+
+  console.log(`\nReclassify report (${REPORT_PATH}):`);
+  console.log(`  ${diff.changed}/${diff.total} primary labels changed`);
+  for (const [move, count] of Object.entries(diff.moves)) {
+    console.log(`  ${move}: ${count}`);
+  }
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+// Markdown summary of a run, also appended to the GitHub Actions job
+// summary when GITHUB_STEP_SUMMARY is set
+function writeRunSummary(provider, run, mode) {
+  const cost = run.cost === null ? 'free' : `~$${run.cost.toFixed(4)}`;
+  const estimated = run.estimatedRequests > 0 ? ` (${run.estimatedRequests} of ${run.requests} requests estimated)` : '';
+  const lines = [
+    `### Complaint classification (${mode})`,
+    '',
+    '| | |',
+    '|---|---|',
+    `| Provider | ${provider.label} (\`${run.model}\`) |`,
+    `| Complaints | ${run.classified} classified of ${run.complaints}${run.failed ? `, ${run.failed} failed` : ''}${run.skipped ? `, ${run.skipped} over the cost limit` : ''} |`,
+    `| Requests | ${run.requests} in ${run.batches} batches, concurrency ${run.concurrency}${run.rateLimited ? `, ${run.rateLimited} rate limited` : ''} |`,
+    `| Tokens | ${run.inputTokens} in / ${run.outputTokens} out${estimated} |`,
+    `| Estimated cost | ${cost} |`,
+    `| Duration | ${formatDuration(run.durationMs)} |`,
+  ];
+  const markdown = lines.join('\n') + '\n';
+
+  console.log(`\n${markdown}`);
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, markdown + '\n');
   }
-  console.error('  All retries failed for this batch, skipping');
-  return {};
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Second stage: give fraud complaints a scam type with the provider's
+ * classifyScamTypes, scheduled like the first stage and saved after each
+ * batch
+ */
+async function classifyScamTypes(provider, classifier, fraudComplaints, classifications, overrides, options) {
+  console.log(`\nAssigning scam types to ${fraudComplaints.length} fraud complaints...`);
+  let typed = 0;
+  const run = await runClassification({ ...classifier, classifyBatch: classifier.classifyScamTypes }, fraudComplaints, {
+    ...options,
+    onBatch(results) {
+      let count = 0;
+      for (const [id, { scam_type: scamType }] of Object.entries(results)) {
+        if (!classifications[id] || getEffectivePrimary(id, classifications, overrides) !== 'fraud') continue;
+        classifications[id].scam_type = scamType;
+        count++;
+      }
+      typed += count;
+      if (count > 0) {
+        saveClassifications(classifications);
+      }
+    },
+  });
+  writeRunSummary(provider, run, 'scam types');
+  console.log(`\nDone! ${typed} fraud complaints typed.`);
 }
 
 async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      provider: { type: 'string', default: process.env.CLASSIFIER_PROVIDER },
+      reclassify: { type: 'boolean', default: false },
+      budget: { type: 'string', default: String(DEFAULT_RECLASSIFY_BUDGET) },
+      concurrency: { type: 'string' },
+      rpm: { type: 'string' },
+      'max-cost': { type: 'string' },
+    },
+  });
+  const provider = resolveProvider(args.provider);
+  const budget = Number(args.budget);
+  if (!Number.isInteger(budget) || budget < 1) {
+    throw new Error(`--budget must be a positive integer (got "${args.budget}")`);
+  }
+  const concurrency = args.concurrency ? Number(args.concurrency) : null;
+  const requestsPerMinute = args.rpm ? Number(args.rpm) : null;
+  const maxCost = args['max-cost'] ? Number(args['max-cost']) : null;
+  for (const [flag, value] of [['--concurrency', concurrency], ['--rpm', requestsPerMinute], ['--max-cost', maxCost]]) {
+    if (value !== null && !(value > 0)) {
+      throw new Error(`${flag} must be a positive number`);
+    }
+  }
+
   console.log('Loading complaints...');
   const raw = JSON.parse(fs.readFileSync(COMPLAINTS_PATH, 'utf-8'));
   const complaints = raw.hits.hits.map(h => h._source);
+  const narratives = new Map(complaints.map(c => [String(c.complaint_id), c.complaint_what_happened]));
 
   console.log('Loading existing classifications...');
   const classifications = loadClassifications();
   const existingCount = Object.keys(classifications).length;
   console.log(`  ${existingCount} existing classifications`);
 
-  const unclassified = getUnclassifiedComplaints(complaints, classifications);
-  console.log(`  ${unclassified.length} complaints need classification`);
-
-  if (unclassified.length === 0) {
-    console.log('Nothing to classify. Done.');
-    return;
+  const lossUpdates = updateLosses(classifications, narratives);
+  if (lossUpdates > 0) {
+    console.log(`  Updated claimed losses on ${lossUpdates} classifications`);
+    saveClassifications(classifications);
   }
 
-  console.log(`Using ${USE_ANTHROPIC ? 'Anthropic Claude Haiku' : 'Gemini'} API`);
-  const model = await getClient();
-
-  const batches = [];
-  for (let i = 0; i < unclassified.length; i += BATCH_SIZE) {
-    batches.push(unclassified.slice(i, i + BATCH_SIZE));
+  const overrides = loadLabelOverrides();
+  const overrideCount = Object.keys(overrides).length;
+  if (overrideCount > 0) {
+    console.log(`  ${overrideCount} analyst overrides (never re-labelled)`);
   }
 
-  console.log(`Processing ${batches.length} batches of up to ${BATCH_SIZE}...`);
-  let classified = 0;
-
-  for (let i = 0; i < batches.length; i++) {
-    const batch = batches[i];
-    console.log(`Batch ${i + 1}/${batches.length} (${batch.length} complaints)...`);
+  const stale = getStaleComplaints(complaints, classifications, overrides, provider);
+  let pending;
+  if (args.reclassify) {
+    pending = stale.slice(0, budget);
+    console.log(`  ${stale.length} classifications are stale (taxonomy ${TAXONOMY_VERSION} or local labels); re-classifying ${pending.length} (budget ${budget})`);
+  } else {
+    pending = getUnclassifiedComplaints(complaints, classifications, overrides);
+    console.log(`  ${pending.length} complaints need classification`);
+    if (stale.length > 0) {
+      console.log(`  ${stale.length} classifications are stale (taxonomy ${TAXONOMY_VERSION} or local labels; run with --reclassify to update them)`);
+    }
+  }
 
-    const results = await classifyBatch(model, batch);
-    const count = Object.keys(results).length;
-    classified += count;
+  const untypedCount = getUntypedFraudComplaints(complaints, classifications, overrides).length;
+  if (untypedCount > 0) {
+    console.log(`  ${untypedCount} fraud complaints need a scam type`);
+  }
 
-    Object.assign(classifications, results);
+  if (pending.length === 0 && untypedCount === 0) {
+    console.log('Nothing to classify. Done.');
+    return;
+  }
 
-    // Save after each batch for resilience
-    if (count > 0) {
-      saveClassifications(classifications);
+  console.log(`Using ${provider.label} provider`);
+  const classifier = provider.create({ complaints });
+  let spent = 0;
+
+  if (pending.length > 0) {
+    // Snapshot of the records being replaced, for the reclassify report
+    const previous = {};
+    if (args.reclassify) {
+      for (const c of pending) {
+        const id = String(c.complaint_id);
+        previous[id] = classifications[id];
+      }
     }
-
-    console.log(`  Classified ${count}/${batch.length} | Total: ${classified} new, ${Object.keys(classifications).length} overall`);
-
-    // Rate limit delay (skip after last batch)
-    if (i < batches.length - 1) {
-      await sleep(DELAY_BETWEEN_BATCHES);
+    const reclassified = {};
+    let classified = 0;
+
+    const run = await runClassification(classifier, pending, {
+      concurrency,
+      requestsPerMinute,
+      maxCost,
+      onBatch(results) {
+        const stamped = stampResults(results, classifier.model, narratives);
+        const count = Object.keys(stamped).length;
+        classified += count;
+        Object.assign(classifications, stamped);
+        if (args.reclassify) Object.assign(reclassified, stamped);
+        // Save after each batch for resilience
+        if (count > 0) {
+          saveClassifications(classifications);
+        }
+      },
+    });
+    writeRunSummary(provider, run, args.reclassify ? 'reclassify' : 'new complaints');
+    spent += run.cost || 0;
+
+    if (args.reclassify) {
+      writeReclassifyReport(diffClassifications(previous, reclassified), {
+        provider: provider.name,
+        model: classifier.model,
+        budget,
+        stale: stale.length,
+        remaining: stale.length - Object.keys(reclassified).length,
+      });
+      console.log(`\nDone! ${classified} re-classified. ${stale.length - classified} stale classifications remain.`);
+    } else {
+      console.log(`\nDone! ${classified} new classifications. ${Object.keys(classifications).length} total.`);
     }
   }
 
-  console.log(`\nDone! ${classified} new classifications. ${Object.keys(classifications).length} total.`);
+  // Second stage, including complaints the first stage just labelled fraud
+  const untyped = getUntypedFraudComplaints(complaints, classifications, overrides);
+  if (untyped.length > 0) {
+    await classifyScamTypes(provider, classifier, untyped, classifications, overrides, {
+      concurrency,
+      requestsPerMinute,
+      maxCost: maxCost === null ? null : Math.max(0, maxCost - spent),
+    });
+  }
 }
 
 main().catch(err => {
@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+
+/**
+ * Classifier Evaluation
+ *
+ * Runs classifier providers over the hand-labelled gold set
+ * (scripts/classifiers/gold-set.json) and reports, for each one, accuracy
+ * and per-category precision/recall/F1 of the primary label and a
+ * confusion matrix (gold category × predicted category), then pairwise
+ * agreement and Cohen's kappa between providers. Besides the providers in
+ * scripts/classifiers/, `keyword` evaluates the IssueInsights keyword
+ * fallback (getKeywordCategory).
+ *
+ * --record saves each provider's output for the gold set to
+ * scripts/classifiers/recordings/<provider>.json; --replay evaluates those
+ * recordings instead of calling the APIs, so the report can be reproduced
+ * offline and in CI without keys. The offline providers (keyword, local)
+ * run live when they have no recording.
+ *
+ * The full report is written to reports/evaluation-report.json.
+ *
+ * Usage: node scripts/evaluate-classifier.cjs [--provider keyword,local,gemini,anthropic]
+ *          [--gold <file>] [--record | --replay]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { resolveProvider } = require('./classifiers/index.cjs');
+const { CATEGORIES, getKeywordCategory } = require('./classifiers/keywords.cjs');
+const { TAXONOMY_VERSION } = require('./classifiers/prompt.cjs');
+const { runClassification } = require('./classifiers/scheduler.cjs');
+
+const GOLD_SET_PATH = path.join(__dirname, 'classifiers', 'gold-set.json');
+const RECORDINGS_DIR = path.join(__dirname, 'classifiers', 'recordings');
+const REPORT_PATH = path.join(__dirname, '..', 'reports', 'evaluation-report.json');
+
+const DEFAULT_PROVIDERS = 'keyword,local';
+const OFFLINE_PROVIDERS = ['keyword', 'local'];
+
+// The dashboard's keyword fallback, wrapped as a provider for comparison
+const KEYWORD_PROVIDER = {
+  name: 'keyword',
+  label: 'IssueInsights keyword fallback',
+  create() {
+    return {
+      model: 'keyword-fallback',
+      batchSize: Infinity,
+      maxBatchTokens: null,
+      requestsPerMinute: null,
+      concurrency: 1,
+      pricing: null,
+      async classifyBatch(batch) {
+        return {
+          results: Object.fromEntries(batch.map(c => [
+            String(c.complaint_id),
+            { primary: getKeywordCategory(c.complaint_what_happened), secondary: [] },
+          ])),
+          usage: { inputTokens: 0, outputTokens: 0 },
+        };
+      },
+    };
+  },
+};
+
+function loadGoldSet(file) {
+  const { items } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error(`No gold items in ${file}`);
+  }
+  for (const item of items) {
+    if (!CATEGORIES.includes(item.primary)) {
+      throw new Error(`Gold item ${item.id} has unknown category "${item.primary}"`);
+    }
+  }
+  return items;
+}
+
+function getRecordingPath(providerName) {
+  return path.join(RECORDINGS_DIR, `${providerName}.json`);
+}
+
+function loadRecording(providerName) {
+  const file = getRecordingPath(providerName);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function saveRecording(providerName, recording) {
+  fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+  fs.writeFileSync(getRecordingPath(providerName), JSON.stringify(recording, null, 2) + '\n', 'utf8');
+}
+
+// Run a provider live over the gold items, scheduled like
+// classify-complaints.cjs
+async function runProvider(provider, items) {
+  // Gold items in the shape providers expect
+  const complaints = items.map(item => ({ complaint_id: item.id, complaint_what_happened: item.narrative }));
+  const classifier = provider.create({ complaints });
+
+  const predictions = {};
+  const run = await runClassification(classifier, complaints, {
+    onBatch: results => Object.assign(predictions, results),
+  });
+  if (run.cost !== null) {
+    console.log(`  ${run.inputTokens + run.outputTokens} tokens, ~$${run.cost.toFixed(4)}`);
+  }
+  return { model: classifier.model, predictions };
+}
+
+async function getPredictions(name, items, mode) {
+  const provider = name === KEYWORD_PROVIDER.name ? KEYWORD_PROVIDER : resolveProvider(name);
+
+  if (mode === 'replay') {
+    const recording = loadRecording(name);
+    if (recording) {
+      if (recording.taxonomy !== TAXONOMY_VERSION) {
+        console.warn(`  Recording for ${name} predates taxonomy ${TAXONOMY_VERSION}; re-record it for current results`);
+      }
+      return { label: provider.label, model: recording.model, predictions: recording.predictions, replayed: true };
+    }
+    if (!OFFLINE_PROVIDERS.includes(name)) {
+      throw new Error(`No recording for provider "${name}" in ${RECORDINGS_DIR} (run with --record first)`);
+    }
+  }
+
+  const { model, predictions } = await runProvider(provider, items);
+  if (mode === 'record') {
+    saveRecording(name, { recordedAt: new Date().toISOString(), model, taxonomy: TAXONOMY_VERSION, predictions });
+    console.log(`  Recorded ${Object.keys(predictions).length} predictions to ${getRecordingPath(name)}`);
+  }
+  return { label: provider.label, model, predictions, replayed: false };
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Accuracy, per-category precision/recall/F1 and confusion matrix of the
+ * primary label. Items the provider returned nothing for count as
+ * 'missing'. `anyLabelAccuracy` also accepts a prediction matching one of
+ * the gold secondary labels.
+ */
+function scorePredictions(items, predictions) {
+  const labels = [...CATEGORIES, 'missing'];
+  const confusion = Object.fromEntries(CATEGORIES.map(gold => [gold, Object.fromEntries(labels.map(l => [l, 0]))]));
+  let correct = 0;
+  let anyLabelCorrect = 0;
+
+  for (const item of items) {
+    const predicted = predictions[item.id]?.primary || 'missing';
+    confusion[item.primary][predicted]++;
+    if (predicted === item.primary) correct++;
+    if (predicted === item.primary || item.secondary?.includes(predicted)) anyLabelCorrect++;
+  }
+
+  const perCategory = {};
+  for (const category of CATEGORIES) {
+    const tp = confusion[category][category];
+    const support = Object.values(confusion[category]).reduce((sum, n) => sum + n, 0);
+    const predictedCount = CATEGORIES.reduce((sum, gold) => sum + confusion[gold][category], 0);
+    const precision = predictedCount > 0 ? tp / predictedCount : 0;
+    const recall = support > 0 ? tp / support : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    perCategory[category] = { precision: round(precision), recall: round(recall), f1: round(f1), support };
+  }
+
+  const scored = Object.values(perCategory).filter(c => c.support > 0);
+  return {
+    accuracy: round(correct / items.length),
+    anyLabelAccuracy: round(anyLabelCorrect / items.length),
+    macroF1: round(scored.reduce((sum, c) => sum + c.f1, 0) / scored.length),
+    missing: items.filter(item => !predictions[item.id]).length,
+    perCategory,
+    confusion,
+  };
+}
+
+/**
+ * Share of gold items where two providers agree on the primary label, and
+ * Cohen's kappa (agreement corrected for chance)
+ */
+function compareProviders(items, a, b) {
+  const pairs = items
+    .map(item => [a[item.id]?.primary, b[item.id]?.primary])
+    .filter(([x, y]) => x && y);
+  if (pairs.length === 0) return { compared: 0, agreement: null, kappa: null };
+
+  const observed = pairs.filter(([x, y]) => x === y).length / pairs.length;
+  const expected = CATEGORIES.reduce((sum, category) => {
+    const pa = pairs.filter(([x]) => x === category).length / pairs.length;
+    const pb = pairs.filter(([, y]) => y === category).length / pairs.length;
+    return sum + pa * pb;
+  }, 0);
+  const kappa = expected < 1 ? (observed - expected) / (1 - expected) : 1;
+  return { compared: pairs.length, agreement: round(observed), kappa: round(kappa) };
+}
+
+const pct = (value) => (value === null ? '   n/a' : `${(value * 100).toFixed(1)}%`.padStart(6));
+
+function printScores(name, result) {
+  const { scores } = result;
+  console.log(`\n${result.label} (${name}, ${result.model}${result.replayed ? ', replayed' : ''})`);
+  console.log(`  Accuracy ${pct(scores.accuracy)} | any-label ${pct(scores.anyLabelAccuracy)} | macro F1 ${scores.macroF1}${scores.missing ? ` | ${scores.missing} missing` : ''}`);
+  console.log(`  ${'category'.padEnd(18)} precision  recall      f1  support`);
+  for (const [category, c] of Object.entries(scores.perCategory)) {
+    console.log(`  ${category.padEnd(18)} ${pct(c.precision).padStart(9)} ${pct(c.recall).padStart(7)} ${String(c.f1).padStart(7)} ${String(c.support).padStart(8)}`);
+  }
+
+  // Rows are gold categories, columns predictions (4-letter prefixes keep it narrow)
+  const columns = Object.keys(scores.confusion[CATEGORIES[0]]);
+  console.log(`\n  Confusion (rows gold, columns predicted: ${columns.map(c => `${c.slice(0, 4)}=${c}`).join(', ')})`);
+  console.log(`  ${''.padEnd(18)}${columns.map(c => c.slice(0, 4).padStart(6)).join('')}`);
+  for (const [gold, row] of Object.entries(scores.confusion)) {
+    console.log(`  ${gold.padEnd(18)}${columns.map(c => String(row[c] || '.').padStart(6)).join('')}`);
+  }
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      provider: { type: 'string', default: DEFAULT_PROVIDERS },
+      gold: { type: 'string', default: GOLD_SET_PATH },
+      record: { type: 'boolean', default: false },
+      replay: { type: 'boolean', default: false },
+    },
+  });
+  if (args.record && args.replay) {
+    throw new Error('--record and --replay cannot be combined');
+  }
+  const mode = args.record ? 'record' : args.replay ? 'replay' : 'live';
+  const names = [...new Set(args.provider.split(',').map(s => s.trim()).filter(Boolean))];
+
+  const items = loadGoldSet(args.gold);
+  console.log(`Evaluating ${names.join(', ')} on ${items.length} gold complaints (${mode})...`);
+
+  const results = {};
+  for (const name of names) {
+    console.log(`Running ${name}...`);
+    const result = await getPredictions(name, items, mode);
+    results[name] = { ...result, scores: scorePredictions(items, result.predictions) };
+    printScores(name, results[name]);
+  }
+
+  const agreement = [];
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      agreement.push({
+        providers: [names[i], names[j]],
+        ...compareProviders(items, results[names[i]].predictions, results[names[j]].predictions),
+      });
+    }
+  }
+  if (agreement.length > 0) {
+    console.log('\nProvider agreement (primary label)');
+    for (const pair of agreement) {
+      console.log(`  ${pair.providers.join(' vs ').padEnd(24)} ${pct(pair.agreement)} agree | kappa ${pair.kappa ?? 'n/a'} | ${pair.compared} compared`);
+    }
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    goldSet: path.relative(path.join(__dirname, '..'), args.gold),
+    goldCount: items.length,
+    taxonomy: TAXONOMY_VERSION,
+    mode,
+    providers: Object.fromEntries(Object.entries(results).map(([name, r]) => [name, {
+      label: r.label,
+      model: r.model,
+      replayed: r.replayed,
+      ...r.scores,
+    }])),
+    agreement,
+  };
+  fs.mkdirSync(path.dirname(REPORT_PATH), { recursive: true });
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2) + '\n', 'utf8');
+  console.log(`\nReport written to ${REPORT_PATH}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { scorePredictions, compareProviders };
@@ -7,90 +7,132 @@
  * Complaint Database API. Merges new complaints into the existing dataset,
  * deduplicating by complaint ID.
  *
- * Usage: node scripts/fetch-cfpb-data.cjs
+ * Progress is checkpointed after every page, so an interrupted fetch can be
+ * continued with --resume instead of starting over.
+ *
+ * --resync-since <YYYY-MM-DD> re-downloads everything received since that date
+ * and refreshes the mutable fields (company response, timeliness, disputes,
+ * narratives) of complaints already stored, writing a per-field change report.
+ *
+ * --reconcile-since <YYYY-MM-DD> compares stored complaints received since that
+ * date with what the API returns now. Complaints the CFPB has withdrawn are
+ * kept but marked with a `removed_at` tombstone so the dashboard can hide them.
+ *
+ * Each run that changes the dataset adds an entry to public/data/changelog.json
+ * (new, updated and removed complaint IDs, first-seen companies and issues),
+ * which the dashboard shows as "what changed this week".
+ *
+ * --record <dir> saves every API page as it is fetched; --source <dir> replays
+ * such a recording instead of calling the API, so pagination, relevance
+ * filtering and the merge run offline and deterministically. A replay covers
+ * the window the pages were recorded for, runs on the recording's clock
+ * (tombstone dates, changelog and report timestamps), never touches the
+ * fetch checkpoint and reads and writes complaints.json, the changelog,
+ * reports and shards under --output <dir> (default reports/replay) instead
+ * of the real files. scripts/recordings/cfpb-sample is a small recording to
+ * try it with (npm run fetch-data:replay); its last page is a flat array, the
+ * response shape normalizePage falls back to.
+ *
+ * Narratives are scrubbed of residual PII (emails, phone numbers, wallet
+ * addresses, tx hashes) before merging, the stored ones included, so the
+ * whole dataset is covered and a new pattern applies on the next run; see
+ * redact-narratives.cjs.
+ *
+ * Usage: node scripts/fetch-cfpb-data.cjs [--resume] [--resync-since <date>]
+ *                                         [--reconcile-since <date>]
+ *                                         [--record <dir> |
+ *                                          --source <dir> [--output <dir>]]
  */
 
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { SHARD_DIR, writeShards } = require('./build-shards.cjs');
+const { REDACTION_LOG_FILE, redactHits, writeRedactionLog } = require('./redact-narratives.cjs');
 
 // Configuration
 const CONFIG = {
   API_BASE: 'https://www.consumerfinance.gov/data-research/consumer-complaints/search/api/v1/',
   PAGE_SIZE: 100,
   OUTPUT_FILE: path.join(__dirname, '..', 'src', 'data', 'complaints.json'),
+  CHECKPOINT_FILE: path.join(__dirname, '..', '.fetch-checkpoint.json'),
+  CHECKPOINT_HITS_FILE: path.join(__dirname, '..', '.fetch-checkpoint.hits.ndjson'),
+  RESYNC_REPORT_FILE: path.join(__dirname, '..', 'reports', 'resync-report.json'),
+  CHANGELOG_FILE: path.join(__dirname, '..', 'public', 'data', 'changelog.json'),
+  REDACTION_LOG_FILE,
+  SHARD_DIR,
+  // Where --source replays read and write the files above by default
+  REPLAY_OUTPUT_DIR: path.join(__dirname, '..', 'reports', 'replay'),
+  // Runs kept in the changelog, newest first
+  CHANGELOG_RUNS: 12,
+  // Refuse to tombstone more than this share of a window in one run; a larger
+  // gap almost always means a partial API response, not mass withdrawals
+  MAX_REMOVAL_RATIO: 0.1,
   REQUEST_DELAY_MS: 500,
   MAX_RETRIES: 3,
   RETRY_DELAY_MS: 2000,
 };
 
-// Pure crypto companies — keep ALL complaints
-const PURE_CRYPTO_COMPANIES = new Set([
-  'Coinbase, Inc.',
-  'Foris DAX, Inc.',
-  'Winklevoss Exchange LLC',
-  'BAM Management US Holdings Inc.',
-  'Payward Ventures Inc. dba Kraken',
-  'Blockchain.com, Inc.',
-  'Abra',
-  'BlockFi Inc',
-  'Paxos Trust Company, LLC',
-  'Voyager Digital (Canada) Ltd.',
-  'Celsius Network LLC',
-  'FTX Trading Ltd.',
-]);
-
-// Mixed companies — filter to crypto-relevant sub_products only
-const MIXED_COMPANIES = new Set([
-  'Block, Inc.',
-  'Paypal Holdings, Inc',
-  'ROBINHOOD MARKETS INC.',
-]);
-
-// Sub-products to keep for mixed companies
-const CRYPTO_SUB_PRODUCTS = new Set([
-  'Virtual currency',
-  'Mobile or digital wallet',
-  'Domestic (US) money transfer',
-  'International money transfer',
-  'Foreign currency exchange',
-  'Other banking product or service',
-  'Checking account',
-  'Savings account',
-  'General-purpose prepaid card',
-  'General-purpose credit card or charge card',
-  'I do not know',
-]);
+// Time of this run for tombstones, the changelog and reports. Replays set it
+// to when the recording was made, so they write the same output every time.
+let clock = () => new Date();
+
+// Tracked companies and their sub-product rules live in one versioned data
+// file shared with the dashboard. Adding an exchange is a data change only.
+const COMPANY_UNIVERSE = require('../src/data/companyUniverse.json');
+
+// Every CFPB name (canonical + aliases) mapped to its universe entry
+const COMPANIES_BY_NAME = new Map();
+for (const entry of COMPANY_UNIVERSE.companies) {
+  for (const name of [entry.name, ...(entry.aliases || [])]) {
+    COMPANIES_BY_NAME.set(name, entry);
+  }
+}
+
+// Whether a date falls in a company's activeFrom/activeTo range (inclusive,
+// either end open when null)
+function isActiveOn(entry, date) {
+  const day = (date || '').slice(0, 10);
+  if (!day) return true;
+  return (!entry.activeFrom || day >= entry.activeFrom) && (!entry.activeTo || day <= entry.activeTo);
+}
 
 function isCryptoRelevant(hit) {
-  const company = hit._source?.company || '';
-  if (PURE_CRYPTO_COMPANIES.has(company)) return true;
-  if (MIXED_COMPANIES.has(company)) {
-    const subProduct = hit._source?.sub_product || '';
-    return CRYPTO_SUB_PRODUCTS.has(subProduct);
+  const entry = COMPANIES_BY_NAME.get(hit._source?.company || '');
+  // Unknown company (e.g. from old data or the sub_product query) — keep as-is
+  if (!entry) return true;
+  const subProduct = hit._source?.sub_product || '';
+  // Outside its active range a company isn't tracked, so only the crypto
+  // sub_product query can bring its complaints in
+  if (!isActiveOn(entry, hit._source?.date_received)) {
+    return COMPANY_UNIVERSE.querySubProducts.includes(subProduct);
   }
-  // Unknown company (e.g. from old data) — keep as-is
-  return true;
+  if (entry.type === 'pure') return true;
+  // Mixed companies — filter to crypto-relevant sub_products only
+  return (entry.allowedSubProducts || []).includes(subProduct);
 }
 
-// Crypto-related companies to fetch
-const CRYPTO_COMPANIES = [
-  'Block, Inc.',
-  'Coinbase, Inc.',
-  'ROBINHOOD MARKETS INC.',
-  'Foris DAX, Inc.',
-  'Paypal Holdings, Inc',
-  'Winklevoss Exchange LLC',
-  'BAM Management US Holdings Inc.',
-  'Payward Ventures Inc. dba Kraken',
-  'Blockchain.com, Inc.',
-  'Abra',
-  'BlockFi Inc',
-  'Paxos Trust Company, LLC',
-  'Voyager Digital (Canada) Ltd.',
-  'Celsius Network LLC',
-  'FTX Trading Ltd.',
+// _source fields the CFPB may change after a complaint is first published
+const MUTABLE_FIELDS = [
+  'company_response',
+  'company_public_response',
+  'timely',
+  'consumer_disputed',
+  'complaint_what_happened',
+  'tags',
 ];
 
+// Company names to query. Companies whose active range ended before the
+// fetch window are skipped (their history is already in the dataset), as are
+// companies whose range hasn't started yet.
+function getQueryCompanies(dateMin) {
+  const today = clock().toISOString().slice(0, 10);
+  return COMPANY_UNIVERSE.companies
+    .filter(entry => !dateMin || !entry.activeTo || entry.activeTo >= dateMin)
+    .filter(entry => !entry.activeFrom || entry.activeFrom <= today)
+    .flatMap(entry => [entry.name, ...(entry.aliases || [])]);
+}
+
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -99,12 +141,14 @@ function buildUrl(params = {}) {
   const url = new URL(CONFIG.API_BASE);
 
   // Add company filters
-  CRYPTO_COMPANIES.forEach(company => {
+  getQueryCompanies(params.date_received_min).forEach(company => {
     url.searchParams.append('company', company);
   });
 
-  // Also include Virtual currency sub_product
-  url.searchParams.append('sub_product', 'Virtual currency');
+  // Also include crypto sub_products regardless of company
+  COMPANY_UNIVERSE.querySubProducts.forEach(subProduct => {
+    url.searchParams.append('sub_product', subProduct);
+  });
 
   // Pagination
   url.searchParams.set('size', CONFIG.PAGE_SIZE.toString());
@@ -125,7 +169,89 @@ function buildUrl(params = {}) {
   return url.toString();
 }
 
-async function fetchPage(params = {}) {
+// Handle API returning a flat array (format=json style) vs ES format
+function normalizePage(data) {
+  if (Array.isArray(data)) {
+    return {
+      hits: {
+        total: { value: data.length },
+        hits: data,
+      },
+    };
+  }
+  return data;
+}
+
+// Recorded pages are named by their offset, which is all that varies between
+// the requests of one fetch
+function getPageFile(dir, params) {
+  return path.join(dir, `page-${String(params.frm || 0).padStart(6, '0')}.json`);
+}
+
+function recordPage(dir, params, body) {
+  const page = {
+    recordedAt: new Date().toISOString(),
+    request: {
+      frm: params.frm || 0,
+      search_after: params.search_after || null,
+      date_received_min: params.date_received_min || null,
+    },
+    body,
+  };
+  fs.writeFileSync(getPageFile(dir, params), JSON.stringify(page, null, 2) + '\n', 'utf8');
+}
+
+function readRecordedPage(dir, params) {
+  const file = getPageFile(dir, params);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No recorded page for frm=${params.frm || 0} in ${dir}`);
+  }
+
+  const page = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const recordedSince = page.request?.date_received_min || null;
+  const since = params.date_received_min || null;
+  if (recordedSince !== since) {
+    throw new Error(`${path.basename(file)} was recorded for a fetch since ${recordedSince || 'the beginning'}, ` +
+      `not ${since || 'the beginning'}`);
+  }
+  return page.body;
+}
+
+// When a recording was made and the window it covers, from its first page
+function readRecordingInfo(dir) {
+  const file = getPageFile(dir, {});
+  if (!fs.existsSync(file)) {
+    throw new Error(`No recorded first page (${path.basename(file)}) in ${dir}`);
+  }
+  const page = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!page.recordedAt) {
+    throw new Error(`${file} has no recordedAt`);
+  }
+  return { recordedAt: page.recordedAt, since: page.request?.date_received_min || null };
+}
+
+// Point the dataset, changelog, reports and shards at `dir`
+function useOutputDir(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  Object.assign(CONFIG, {
+    OUTPUT_FILE: path.join(dir, 'complaints.json'),
+    CHANGELOG_FILE: path.join(dir, 'changelog.json'),
+    RESYNC_REPORT_FILE: path.join(dir, 'resync-report.json'),
+    REDACTION_LOG_FILE: path.join(dir, 'redaction-log.json'),
+    SHARD_DIR: path.join(dir, 'complaints'),
+  });
+}
+
+/**
+ * Fetch one page from the API, or from a recording with `source`. With
+ * `record` the raw response is saved for later replays.
+ */
+async function fetchPage(params = {}, { source = null, record = null } = {}) {
+  if (source) {
+    console.log(`  Replaying: frm=${params.frm || 0}, search_after=${params.search_after || 'none'}`);
+    return normalizePage(readRecordedPage(source, params));
+  }
+
   const url = buildUrl(params);
 
   for (let attempt = 1; attempt <= CONFIG.MAX_RETRIES; attempt++) {
@@ -144,18 +270,10 @@ async function fetchPage(params = {}) {
       }
 
       const data = await response.json();
-
-      // Handle API returning a flat array (format=json style) vs ES format
-      if (Array.isArray(data)) {
-        return {
-          hits: {
-            total: { value: data.length },
-            hits: data,
-          },
-        };
+      if (record) {
+        recordPage(record, params, data);
       }
-
-      return data;
+      return normalizePage(data);
 
     } catch (error) {
       console.error(`  Attempt ${attempt}/${CONFIG.MAX_RETRIES} failed: ${error.message}`);
@@ -205,17 +323,103 @@ function loadExistingData() {
   }
 }
 
-async function fetchNewComplaints(dateMin) {
+/**
+ * Checkpoint state is split in two files: a small JSON cursor that is
+ * rewritten after each page, and an append-only NDJSON file of the hits
+ * received so far. `hitCount` in the cursor is the number of NDJSON lines
+ * that belong to a completed page; anything beyond it is a partial write
+ * from a crash and is discarded on resume.
+ */
+function loadCheckpoint(dateMin) {
+  if (!fs.existsSync(CONFIG.CHECKPOINT_FILE)) {
+    console.log('No checkpoint found, starting a fresh fetch.');
+    return null;
+  }
+
+  try {
+    const checkpoint = JSON.parse(fs.readFileSync(CONFIG.CHECKPOINT_FILE, 'utf8'));
+
+    if (checkpoint.dateMin !== dateMin) {
+      console.log(`Checkpoint is for a different window (since ${checkpoint.dateMin || 'beginning'}), starting fresh.`);
+      return null;
+    }
+
+    const lines = fs.existsSync(CONFIG.CHECKPOINT_HITS_FILE)
+      ? fs.readFileSync(CONFIG.CHECKPOINT_HITS_FILE, 'utf8').split('\n').filter(Boolean)
+      : [];
+
+    if (lines.length < checkpoint.hitCount) {
+      console.log(`Checkpoint hits file is incomplete (${lines.length}/${checkpoint.hitCount}), starting fresh.`);
+      return null;
+    }
+
+    const hits = lines.slice(0, checkpoint.hitCount).map(line => JSON.parse(line));
+
+    // Drop any partially written page so the file matches the cursor again
+    if (lines.length > checkpoint.hitCount) {
+      fs.writeFileSync(CONFIG.CHECKPOINT_HITS_FILE, hits.map(h => JSON.stringify(h) + '\n').join(''), 'utf8');
+    }
+
+    console.log(`Resuming from checkpoint: page ${checkpoint.pageCount}, ${hits.length} complaints so far.`);
+    return { ...checkpoint, hits };
+  } catch (e) {
+    console.error(`Warning: Could not read checkpoint (${e.message}), starting fresh.`);
+    return null;
+  }
+}
+
+function saveCheckpoint(state, pageHits) {
+  fs.appendFileSync(CONFIG.CHECKPOINT_HITS_FILE, pageHits.map(h => JSON.stringify(h) + '\n').join(''), 'utf8');
+  fs.writeFileSync(CONFIG.CHECKPOINT_FILE, JSON.stringify({
+    dateMin: state.dateMin,
+    frm: state.frm,
+    searchAfter: state.searchAfter,
+    totalExpected: state.totalExpected,
+    pageCount: state.pageCount,
+    hitCount: state.hitCount,
+    updatedAt: new Date().toISOString(),
+  }, null, 2), 'utf8');
+}
+
+function clearCheckpoint() {
+  for (const file of [CONFIG.CHECKPOINT_FILE, CONFIG.CHECKPOINT_HITS_FILE]) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  }
+}
+
+async function fetchNewComplaints(dateMin, { resume = false, source = null, record = null } = {}) {
   const mode = dateMin ? `incremental (since ${dateMin})` : 'full';
   console.log(`Starting CFPB complaint data fetch (${mode})...\n`);
-  console.log(`Target companies: ${CRYPTO_COMPANIES.length}`);
+  if (source) {
+    console.log(`Replaying recorded pages from ${source}`);
+  }
+  if (record) {
+    // Pages left from an earlier recording would be replayed out of order
+    fs.mkdirSync(record, { recursive: true });
+    for (const file of fs.readdirSync(record).filter(f => /^page-\d+\.json$/.test(f))) {
+      fs.unlinkSync(path.join(record, file));
+    }
+    console.log(`Recording pages to ${record}`);
+  }
+  console.log(`Company universe v${COMPANY_UNIVERSE.version}: ${getQueryCompanies(dateMin).length} companies to query`);
   console.log(`Page size: ${CONFIG.PAGE_SIZE}\n`);
 
-  const allHits = [];
-  let frm = 0;
-  let searchAfter = null;
-  let totalExpected = null;
-  let pageCount = 0;
+  // Replays leave the checkpoint of a real fetch alone
+  const checkpoint = resume ? loadCheckpoint(dateMin) : null;
+  if (!checkpoint && !source) {
+    clearCheckpoint();
+  }
+
+  const allHits = checkpoint ? checkpoint.hits : [];
+  let frm = checkpoint ? checkpoint.frm : 0;
+  let searchAfter = checkpoint ? checkpoint.searchAfter : null;
+  let totalExpected = checkpoint ? checkpoint.totalExpected : null;
+  let pageCount = checkpoint ? checkpoint.pageCount : 0;
+
+  if (totalExpected !== null && allHits.length >= totalExpected) {
+    console.log('  Checkpoint already holds the expected total.');
+    return allHits;
+  }
 
   while (true) {
     pageCount++;
@@ -229,7 +433,7 @@ async function fetchNewComplaints(dateMin) {
       params.search_after = searchAfter;
     }
 
-    const response = await fetchPage(params);
+    const response = await fetchPage(params, { source, record });
 
     if (totalExpected === null) {
       totalExpected = response.hits?.total?.value || response.hits?.total || 0;
@@ -250,17 +454,178 @@ async function fetchNewComplaints(dateMin) {
     searchAfter = extractSearchAfter(hits);
     frm += hits.length;
 
+    if (!source) {
+      saveCheckpoint({
+        dateMin,
+        frm,
+        searchAfter,
+        totalExpected,
+        pageCount,
+        hitCount: allHits.length,
+      }, hits);
+    }
+
     if (allHits.length >= totalExpected) {
       console.log('  Reached expected total, stopping.');
       break;
     }
 
-    await sleep(CONFIG.REQUEST_DELAY_MS);
+    if (!source) {
+      await sleep(CONFIG.REQUEST_DELAY_MS);
+    }
   }
 
   return allHits;
 }
 
+/**
+ * Copy mutable fields from freshly fetched hits onto the stored copies of the
+ * same complaints. Returns a per-field report of what changed.
+ */
+function resyncExistingHits(storedHits, freshHits) {
+  const storedById = new Map(storedHits.map(h => [h._id, h]));
+  const fields = {};
+  for (const field of MUTABLE_FIELDS) {
+    fields[field] = { changed: 0, transitions: {} };
+  }
+
+  const updatedIds = [];
+  let matched = 0;
+
+  for (const fresh of freshHits) {
+    const stored = storedById.get(fresh._id);
+    if (!stored) continue;
+    matched++;
+
+    let changed = false;
+    for (const field of MUTABLE_FIELDS) {
+      const before = stored._source?.[field];
+      const after = fresh._source?.[field];
+      // A missing field means the API didn't send it, not that it was cleared
+      if (after === undefined || JSON.stringify(before) === JSON.stringify(after)) continue;
+
+      stored._source = stored._source || {};
+      stored._source[field] = after;
+      changed = true;
+
+      // Narratives are too long to log, so record the kind of change instead
+      const transition = field === 'complaint_what_happened'
+        ? (!before ? 'published' : !after ? 'withdrawn' : 'edited')
+        : `${JSON.stringify(before ?? null)} -> ${JSON.stringify(after ?? null)}`;
+      fields[field].changed++;
+      fields[field].transitions[transition] = (fields[field].transitions[transition] || 0) + 1;
+    }
+
+    if (changed) updatedIds.push(fresh._id);
+  }
+
+  return { matched, updatedIds, fields };
+}
+
+function writeResyncReport(since, fetchedCount, result) {
+  const report = {
+    generatedAt: clock().toISOString(),
+    since,
+    fetched: fetchedCount,
+    matched: result.matched,
+    updated: result.updatedIds.length,
+    fields: result.fields,
+    updatedIds: result.updatedIds,
+  };
+
+  fs.mkdirSync(path.dirname(CONFIG.RESYNC_REPORT_FILE), { recursive: true });
+  fs.writeFileSync(CONFIG.RESYNC_REPORT_FILE, JSON.stringify(report, null, 2) + '\n', 'utf8');
+
+  console.log(`\nResync report (${CONFIG.RESYNC_REPORT_FILE}):`);
+  for (const [field, stats] of Object.entries(result.fields)) {
+    if (stats.changed > 0) {
+      console.log(`  ${field}: ${stats.changed} changed`);
+    }
+  }
+}
+
+// Whether the fetch query for this window would have returned the hit
+function isInQueryScope(hit, dateMin) {
+  const source = hit._source || {};
+  return getQueryCompanies(dateMin).includes(source.company) ||
+    COMPANY_UNIVERSE.querySubProducts.includes(source.sub_product);
+}
+
+/**
+ * Tombstone stored complaints from the window that the API no longer returns,
+ * and lift the tombstone from any that have reappeared. `fetchedHits` must be
+ * the unfiltered API response so relevance filtering can't look like removal.
+ */
+function reconcileRemovedHits(storedHits, fetchedHits, since) {
+  const liveIds = new Set(fetchedHits.map(h => h._id));
+  const inWindow = storedHits.filter(h =>
+    (h._source?.date_received || '').slice(0, 10) >= since && isInQueryScope(h, since)
+  );
+
+  const missing = inWindow.filter(h => !liveIds.has(h._id) && !h._source.removed_at);
+  const restored = inWindow.filter(h => liveIds.has(h._id) && h._source.removed_at);
+
+  if (inWindow.length > 0 && missing.length / inWindow.length > CONFIG.MAX_REMOVAL_RATIO) {
+    console.warn(`\nWARNING: ${missing.length}/${inWindow.length} stored complaints missing from the API response.`);
+    console.warn('  That exceeds the removal safety limit, so no tombstones were written.');
+    return { checked: inWindow.length, removedIds: [], restoredIds: [] };
+  }
+
+  const removedAt = clock().toISOString().slice(0, 10);
+  for (const hit of missing) {
+    hit._source.removed_at = removedAt;
+  }
+  for (const hit of restored) {
+    delete hit._source.removed_at;
+  }
+
+  return {
+    checked: inWindow.length,
+    removedIds: missing.map(h => h._id),
+    restoredIds: restored.map(h => h._id),
+  };
+}
+
+// Companies and issues of the complaints still shown on the dashboard
+function getSeenValues(hits, field) {
+  const values = new Set();
+  for (const hit of hits) {
+    const value = hit._source?.[field];
+    if (value && !hit._source.removed_at) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Prepend this run's changes to the changelog, dropping the oldest runs
+ */
+function writeChangelog(run) {
+  let changelog = { updatedAt: null, runs: [] };
+  if (fs.existsSync(CONFIG.CHANGELOG_FILE)) {
+    try {
+      changelog = JSON.parse(fs.readFileSync(CONFIG.CHANGELOG_FILE, 'utf8'));
+    } catch (error) {
+      console.warn(`Warning: Could not parse ${CONFIG.CHANGELOG_FILE}, starting a new changelog:`, error.message);
+    }
+  }
+
+  changelog.updatedAt = run.generatedAt;
+  changelog.runs = [run, ...(changelog.runs || [])].slice(0, CONFIG.CHANGELOG_RUNS);
+
+  fs.mkdirSync(path.dirname(CONFIG.CHANGELOG_FILE), { recursive: true });
+  fs.writeFileSync(CONFIG.CHANGELOG_FILE, JSON.stringify(changelog, null, 2) + '\n', 'utf8');
+  console.log(`Changelog updated (${CONFIG.CHANGELOG_FILE})`);
+}
+
+// Sort by date_received descending
+function sortHits(hits) {
+  return hits.sort((a, b) => {
+    const da = a._source?.date_received || '';
+    const db = b._source?.date_received || '';
+    return db.localeCompare(da);
+  });
+}
+
 function formatOutput(hits) {
   return {
     hits: {
@@ -274,8 +639,46 @@ function formatOutput(hits) {
 
 async function main() {
   const startTime = Date.now();
+  const { values: args } = parseArgs({
+    options: {
+      resume: { type: 'boolean', default: false },
+      'resync-since': { type: 'string' },
+      'reconcile-since': { type: 'string' },
+      record: { type: 'string' },
+      source: { type: 'string' },
+      output: { type: 'string' },
+    },
+  });
+  const resyncSince = args['resync-since'];
+  const reconcileSince = args['reconcile-since'];
 
   try {
+    for (const flag of ['resync-since', 'reconcile-since']) {
+      if (args[flag] && !/^\d{4}-\d{2}-\d{2}$/.test(args[flag])) {
+        throw new Error(`--${flag} expects a YYYY-MM-DD date, got "${args[flag]}"`);
+      }
+    }
+    if (args.record && args.source) {
+      throw new Error('--record and --source cannot be combined');
+    }
+    if (args.source && !fs.existsSync(args.source)) {
+      throw new Error(`--source directory not found: ${args.source}`);
+    }
+    if (args.source && args.resume) {
+      throw new Error('--resume cannot be combined with --source');
+    }
+    if (args.output && !args.source) {
+      throw new Error('--output only applies to --source replays');
+    }
+
+    let recording = null;
+    if (args.source) {
+      recording = readRecordingInfo(path.resolve(args.source));
+      clock = () => new Date(recording.recordedAt);
+      useOutputDir(path.resolve(args.output || CONFIG.REPLAY_OUTPUT_DIR));
+      console.log(`Replaying a recording made at ${recording.recordedAt} into ${path.dirname(CONFIG.OUTPUT_FILE)}`);
+    }
+
     // Load existing data
     const existing = loadExistingData();
     console.log(`Existing data: ${existing.hits.length} complaints`);
@@ -285,14 +688,31 @@ async function main() {
 
     // Fetch new complaints (incremental if we have existing data)
     // Use a date 7 days before the latest to catch any late-arriving complaints
+    // Resync/reconcile windows override this and re-download everything since
+    // the earliest requested date
     let dateMin = null;
-    if (existing.latestDate) {
+    if (resyncSince || reconcileSince) {
+      dateMin = [resyncSince, reconcileSince].filter(Boolean).sort()[0];
+      if (resyncSince) {
+        console.log(`Resync mode: refreshing complaints received since ${resyncSince}`);
+      }
+      if (reconcileSince) {
+        console.log(`Reconcile mode: checking for removed complaints received since ${reconcileSince}`);
+      }
+    } else if (recording) {
+      // A replay covers the window its pages were recorded for
+      dateMin = recording.since;
+    } else if (existing.latestDate) {
       const latest = new Date(existing.latestDate);
       latest.setDate(latest.getDate() - 7);
       dateMin = latest.toISOString().split('T')[0];
     }
 
-    const newHits = await fetchNewComplaints(dateMin);
+    const newHits = await fetchNewComplaints(dateMin, {
+      resume: args.resume,
+      source: args.source && path.resolve(args.source),
+      record: args.record && path.resolve(args.record),
+    });
 
     if (existing.hits.length === 0 && newHits.length === 0) {
       console.error('\nERROR: Fetch returned 0 complaints - API may be down or query failed.');
@@ -307,25 +727,65 @@ async function main() {
       console.log(`Filtered out ${droppedCount} non-crypto complaints from mixed companies`);
     }
 
+    // Mask PII the CFPB's scrubbing missed in stored and fetched narratives.
+    // Done before resync so refreshed narratives compare equal to the
+    // scrubbed stored copies. Fetched copies of stored complaints aren't
+    // logged twice.
+    const redactionEntries = [
+      ...redactHits(existing.hits),
+      ...redactHits(filteredHits).filter(entry => !existing.ids.has(entry.complaint_id)),
+    ];
+    const unstoredCount = filteredHits.filter(hit => !existing.ids.has(hit._id)).length;
+    writeRedactionLog(existing.hits.length + unstoredCount, redactionEntries, {
+      file: CONFIG.REDACTION_LOG_FILE,
+      now: clock(),
+    });
+
+    // Companies and issues already on the dashboard, for the changelog
+    const seenCompanies = getSeenValues(existing.hits, 'company');
+    const seenIssues = getSeenValues(existing.hits, 'issue');
+
+    // Resync: refresh mutable fields of complaints we already have
+    let updatedIds = [];
+    if (resyncSince) {
+      const result = resyncExistingHits(existing.hits, filteredHits);
+      updatedIds = result.updatedIds;
+      writeResyncReport(resyncSince, filteredHits.length, result);
+    }
+
+    // Reconcile: tombstone complaints the CFPB no longer returns
+    let removedIds = [];
+    if (reconcileSince) {
+      const result = reconcileRemovedHits(existing.hits, newHits, reconcileSince);
+      removedIds = result.removedIds;
+      console.log(`\nReconciled ${result.checked} stored complaints since ${reconcileSince}:`);
+      console.log(`  Newly removed: ${removedIds.length}`);
+      console.log(`  Reinstated: ${result.restoredIds.length}`);
+    }
+
     // Merge: deduplicate by _id
-    let addedCount = 0;
+    const addedHits = [];
     for (const hit of filteredHits) {
       if (!existing.ids.has(hit._id)) {
         existing.hits.push(hit);
         existing.ids.add(hit._id);
-        addedCount++;
+        addedHits.push(hit);
       }
     }
+    const addedCount = addedHits.length;
+    const updatedCount = updatedIds.length;
+    const removedCount = removedIds.length;
 
-    // Sort by date_received descending
-    existing.hits.sort((a, b) => {
-      const da = a._source?.date_received || '';
-      const db = b._source?.date_received || '';
-      return db.localeCompare(da);
-    });
+    sortHits(existing.hits);
 
     const totalCount = existing.hits.length;
     console.log(`\nNew complaints added: ${addedCount}`);
+    if (resyncSince) {
+      console.log(`Existing complaints updated: ${updatedCount}`);
+    }
+    if (reconcileSince) {
+      console.log(`Complaints tombstoned: ${removedCount}`);
+    }
     console.log(`Total complaints after merge: ${totalCount}`);
 
     const output = formatOutput(existing.hits);
@@ -333,6 +793,27 @@ async function main() {
     console.log(`Writing ${totalCount} complaints to ${CONFIG.OUTPUT_FILE}...`);
     fs.writeFileSync(CONFIG.OUTPUT_FILE, JSON.stringify(output), 'utf8');
 
+    // The merged data is safely on disk, so the checkpoint is no longer needed
+    if (!args.source) {
+      clearCheckpoint();
+    }
+
+    if (addedCount + updatedCount + removedCount > 0) {
+      writeChangelog({
+        generatedAt: clock().toISOString(),
+        since: dateMin,
+        total: totalCount,
+        newIds: addedHits.map(h => h._id),
+        updatedIds,
+        removedIds,
+        newCompanies: [...getSeenValues(addedHits, 'company')].filter(c => !seenCompanies.has(c)).sort(),
+        newIssues: [...getSeenValues(addedHits, 'issue')].filter(i => !seenIssues.has(i)).sort(),
+      });
+    }
+
+    const shardIndex = writeShards(existing.hits, { dir: CONFIG.SHARD_DIR, now: clock() });
+    console.log(`Wrote ${shardIndex.months.length} month shards for the dashboard`);
+
     const fileSizeMB = (fs.statSync(CONFIG.OUTPUT_FILE).size / (1024 * 1024)).toFixed(2);
     const elapsedSec = ((Date.now() - startTime) / 1000).toFixed(1);
 
@@ -346,6 +827,9 @@ async function main() {
     if (process.env.GITHUB_OUTPUT) {
       fs.appendFileSync(process.env.GITHUB_OUTPUT, `complaint_count=${totalCount}\n`);
       fs.appendFileSync(process.env.GITHUB_OUTPUT, `new_complaints=${addedCount}\n`);
+      fs.appendFileSync(process.env.GITHUB_OUTPUT, `updated_complaints=${updatedCount}\n`);
+      fs.appendFileSync(process.env.GITHUB_OUTPUT, `removed_complaints=${removedCount}\n`);
+      fs.appendFileSync(process.env.GITHUB_OUTPUT, `redacted_complaints=${redactionEntries.length}\n`);
       fs.appendFileSync(process.env.GITHUB_OUTPUT, `file_size_mb=${fileSizeMB}\n`);
     }
 
@@ -355,4 +839,18 @@ async function main() {
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+// Shared with import-cfpb-csv.cjs
+module.exports = {
+  CONFIG,
+  isCryptoRelevant,
+  isInQueryScope,
+  loadExistingData,
+  getSeenValues,
+  writeChangelog,
+  sortHits,
+  formatOutput,
+};
@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+
+/**
+ * CFPB Bulk CSV Importer
+ *
+ * Streams the CFPB's full export (complaints.csv.zip, or an unzipped
+ * complaints.csv) and merges the crypto-related complaints into
+ * src/data/complaints.json in the same shape fetch-cfpb-data.cjs writes.
+ * Use it to bootstrap a fresh dataset or to catch up while the search API is
+ * rate-limiting us.
+ *
+ * Rows go through the same rules as the API fetch: the query scope (tracked
+ * companies or crypto sub-products), isCryptoRelevant, PII scrubbing and
+ * `_id` dedupe against the stored complaints. Stored complaints are kept
+ * as they are apart from PII scrubbing; use the fetcher's --resync-since to
+ * refresh them. Without --file
+ * the export is downloaded and unzipped on the fly.
+ *
+ * --since <YYYY-MM-DD> only imports complaints received since that date.
+ *
+ * --dry-run reads the export and reports what would be imported without
+ * writing anything. npm run check:import-csv runs it on
+ * scripts/recordings/cfpb-export-sample.csv.zip, a two-entry archive in the
+ * export's format, and fails if the importer can't read it.
+ *
+ * Usage: node scripts/import-cfpb-csv.cjs [--file <complaints.csv[.zip]>]
+ *                                         [--since <date>] [--dry-run]
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { StringDecoder } = require('string_decoder');
+const { parseArgs } = require('util');
+const {
+  CONFIG,
+  isCryptoRelevant,
+  isInQueryScope,
+  loadExistingData,
+  getSeenValues,
+  writeChangelog,
+  sortHits,
+  formatOutput,
+} = require('./fetch-cfpb-data.cjs');
+const { redactHits, writeRedactionLog } = require('./redact-narratives.cjs');
+const { writeShards } = require('./build-shards.cjs');
+
+const EXPORT_URL = 'https://files.consumerfinance.gov/ccdb/complaints.csv.zip';
+
+// Export columns and the _source fields the search API returns them as
+const COLUMNS = {
+  'Date received': 'date_received',
+  'Product': 'product',
+  'Sub-product': 'sub_product',
+  'Issue': 'issue',
+  'Sub-issue': 'sub_issue',
+  'Consumer complaint narrative': 'complaint_what_happened',
+  'Company public response': 'company_public_response',
+  'Company': 'company',
+  'State': 'state',
+  'ZIP code': 'zip_code',
+  'Tags': 'tags',
+  'Consumer consent provided?': 'consumer_consent_provided',
+  'Submitted via': 'submitted_via',
+  'Date sent to company': 'date_sent_to_company',
+  'Company response to consumer': 'company_response',
+  'Timely response?': 'timely',
+  'Consumer disputed?': 'consumer_disputed',
+  'Complaint ID': 'complaint_id',
+};
+
+// The API reports dates as noon US Eastern; the export only has the day
+const API_DATE_SUFFIX = 'T12:00:00-05:00';
+
+const PROGRESS_EVERY = 500000;
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_LOCAL_HEADER_LENGTH = 30;
+const ZIP_DATA_DESCRIPTOR_FLAG = 0x08;
+const ZIP64_EXTRA_FIELD = 0x0001;
+const ZIP64_SIZE_MARKER = 0xFFFFFFFF;
+
+/**
+ * Parse the local file header at the start of `buffer`. Returns null until
+ * the whole header has arrived, then { name, length, compressedSize }.
+ */
+function parseZipLocalHeader(buffer) {
+  if (buffer.length < ZIP_LOCAL_HEADER_LENGTH) return null;
+  if (buffer.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+    throw new Error('Input is not a ZIP archive');
+  }
+  const method = buffer.readUInt16LE(8);
+  if (method !== 8) {
+    throw new Error(`Unsupported ZIP compression method ${method} (expected deflate)`);
+  }
+
+  const nameLength = buffer.readUInt16LE(26);
+  const extraLength = buffer.readUInt16LE(28);
+  const length = ZIP_LOCAL_HEADER_LENGTH + nameLength + extraLength;
+  if (buffer.length < length) return null;
+
+  let compressedSize = buffer.readUInt32LE(18);
+  if (compressedSize === 0 && buffer.readUInt16LE(6) & ZIP_DATA_DESCRIPTOR_FLAG) {
+    throw new Error('The ZIP entry only gives its size after the data; unzip the export and pass the CSV with --file');
+  }
+  // Entries over 4 GB keep both sizes in a zip64 extra field instead
+  if (compressedSize === ZIP64_SIZE_MARKER) {
+    compressedSize = null;
+    let offset = ZIP_LOCAL_HEADER_LENGTH + nameLength;
+    while (offset + 4 <= length) {
+      const id = buffer.readUInt16LE(offset);
+      const size = buffer.readUInt16LE(offset + 2);
+      if (id === ZIP64_EXTRA_FIELD && size >= 16) {
+        compressedSize = Number(buffer.readBigUInt64LE(offset + 12));
+        break;
+      }
+      offset += 4 + size;
+    }
+    if (compressedSize === null) {
+      throw new Error('ZIP entry is missing its zip64 sizes');
+    }
+  }
+
+  return {
+    name: buffer.toString('utf8', ZIP_LOCAL_HEADER_LENGTH, ZIP_LOCAL_HEADER_LENGTH + nameLength),
+    length,
+    compressedSize,
+  };
+}
+
+/**
+ * Yield the deflated data of the first entry in a ZIP stream, so it can be
+ * piped into inflateRaw. Exactly the compressed size from the local header
+ * is passed on: later entries and the central directory would otherwise
+ * reach the inflater after its stream has ended. They are still read, so
+ * the input ends normally.
+ */
+async function* readFirstZipEntry(source) {
+  let buffer = Buffer.alloc(0);
+  let remaining = null;
+
+  for await (const chunk of source) {
+    let data = chunk;
+    if (remaining === null) {
+      buffer = Buffer.concat([buffer, chunk]);
+      const header = parseZipLocalHeader(buffer);
+      if (!header) continue;
+
+      console.log(`Reading ${header.name} from the archive`);
+      remaining = header.compressedSize;
+      data = buffer.subarray(header.length);
+      buffer = null;
+    }
+
+    if (remaining > 0 && data.length > 0) {
+      const entryData = data.subarray(0, remaining);
+      remaining -= entryData.length;
+      yield entryData;
+    }
+  }
+
+  if (remaining === null || remaining > 0) {
+    throw new Error('ZIP archive ended before its first entry did');
+  }
+}
+
+/**
+ * Parse RFC 4180 CSV from a byte stream, yielding one array of fields per
+ * row. Quoted fields may contain commas, newlines and doubled quotes.
+ */
+async function* parseCsv(source) {
+  const decoder = new StringDecoder('utf8');
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // A quote inside a quoted field: either an escaped quote or the closing one
+  let quotePending = false;
+  let first = true;
+
+  for await (const chunk of source) {
+    let text = decoder.write(chunk);
+    if (first && text.length > 0) {
+      text = text.replace(/^\uFEFF/, '');
+      first = false;
+    }
+
+    const rows = [];
+    let i = 0;
+    while (i < text.length) {
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (text[i] === '"') {
+            field += '"';
+            i++;
+            continue;
+          }
+          inQuotes = false;
+          continue;
+        }
+        const quote = text.indexOf('"', i);
+        if (quote === -1) {
+          field += text.slice(i);
+          i = text.length;
+        } else {
+          field += text.slice(i, quote);
+          quotePending = true;
+          i = quote + 1;
+        }
+        continue;
+      }
+
+      const ch = text[i++];
+      if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n') {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else if (ch !== '\r') {
+        field += ch;
+      }
+    }
+
+    yield* rows;
+  }
+
+  // Last row without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    yield row;
+  }
+}
+
+/**
+ * Build an API-shaped hit from an export row. Empty cells become null, as
+ * the API leaves them, except the narrative, which is an empty string.
+ */
+function toHit(row, fieldIndexes) {
+  const source = {};
+  for (const [field, index] of fieldIndexes) {
+    const value = row[index];
+    source[field] = value === undefined || value === '' ? null : value;
+  }
+
+  source.complaint_what_happened = source.complaint_what_happened || '';
+  source.has_narrative = source.complaint_what_happened !== '';
+  for (const field of ['date_received', 'date_sent_to_company']) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(source[field] || '')) {
+      source[field] += API_DATE_SUFFIX;
+    }
+  }
+
+  return { _id: source.complaint_id, _source: source };
+}
+
+/**
+ * Stream the export and return the hits the API fetch would have kept
+ */
+async function readExport(input, since) {
+  const hits = [];
+  const ids = new Set();
+  const counts = { rows: 0, inScope: 0, relevant: 0 };
+  let fieldIndexes = null;
+
+  const collect = async (rows) => {
+    for await (const row of rows) {
+      if (!fieldIndexes) {
+        const missing = Object.keys(COLUMNS).filter(column => !row.includes(column));
+        if (missing.length > 0) {
+          throw new Error(`Export is missing columns: ${missing.join(', ')}`);
+        }
+        fieldIndexes = Object.entries(COLUMNS).map(([column, field]) => [field, row.indexOf(column)]);
+        continue;
+      }
+
+      counts.rows++;
+      if (counts.rows % PROGRESS_EVERY === 0) {
+        console.log(`  ${counts.rows.toLocaleString()} rows read, ${hits.length} crypto complaints`);
+      }
+
+      const hit = toHit(row, fieldIndexes);
+      if (!hit._id || ids.has(hit._id)) continue;
+      if (since && (hit._source.date_received || '').slice(0, 10) < since) continue;
+      if (!isInQueryScope(hit, since)) continue;
+      counts.inScope++;
+      if (!isCryptoRelevant(hit)) continue;
+      counts.relevant++;
+
+      ids.add(hit._id);
+      hits.push(hit);
+    }
+  };
+
+  const stages = [input.stream];
+  if (input.zipped) {
+    stages.push(readFirstZipEntry, zlib.createInflateRaw());
+  }
+  await pipeline(...stages, parseCsv, collect);
+
+  console.log(`\nRead ${counts.rows.toLocaleString()} rows from the export`);
+  console.log(`  In query scope: ${counts.inScope}`);
+  console.log(`  Crypto-relevant: ${counts.relevant}`);
+  return hits;
+}
+
+async function openInput(file) {
+  if (file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`File not found: ${file}`);
+    }
+    // Sniff the ZIP signature rather than trusting the extension
+    const fd = fs.openSync(file, 'r');
+    const magic = Buffer.alloc(4);
+    fs.readSync(fd, magic, 0, 4, 0);
+    fs.closeSync(fd);
+    console.log(`Importing ${file}`);
+    return { stream: fs.createReadStream(file), zipped: magic.readUInt32LE(0) === ZIP_LOCAL_HEADER };
+  }
+
+  console.log(`Downloading ${EXPORT_URL}`);
+  const response = await fetch(EXPORT_URL);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  return { stream: Readable.fromWeb(response.body), zipped: true };
+}
+
+async function main() {
+  const startTime = Date.now();
+  const { values: args } = parseArgs({
+    options: {
+      file: { type: 'string' },
+      since: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+    },
+  });
+
+  try {
+    if (args.since && !/^\d{4}-\d{2}-\d{2}$/.test(args.since)) {
+      throw new Error(`--since expects a YYYY-MM-DD date, got "${args.since}"`);
+    }
+
+    const existing = loadExistingData();
+    console.log(`Existing data: ${existing.hits.length} complaints`);
+
+    const input = await openInput(args.file);
+    const importedHits = await readExport(input, args.since || null);
+
+    // Merge: deduplicate by _id, keeping stored complaints as they are
+    const seenCompanies = getSeenValues(existing.hits, 'company');
+    const seenIssues = getSeenValues(existing.hits, 'issue');
+    const addedHits = importedHits.filter(hit => !existing.ids.has(hit._id));
+
+    if (args['dry-run']) {
+      if (importedHits.length === 0) {
+        throw new Error('The export had no crypto complaints');
+      }
+      console.log(`\nDry run: ${addedHits.length} new and ${importedHits.length - addedHits.length} already stored complaints, nothing written`);
+      return;
+    }
+
+    const redactionEntries = [...redactHits(existing.hits), ...redactHits(addedHits)];
+    writeRedactionLog(existing.hits.length + addedHits.length, redactionEntries);
+    existing.hits.push(...addedHits);
+    sortHits(existing.hits);
+
+    const totalCount = existing.hits.length;
+    console.log(`\nNew complaints added: ${addedHits.length}`);
+    console.log(`Already stored: ${importedHits.length - addedHits.length}`);
+
+    if (totalCount === 0) {
+      console.error('\nERROR: The export had no crypto complaints - refusing to write an empty dataset.');
+      process.exit(1);
+    }
+
+    console.log(`Writing ${totalCount} complaints to ${CONFIG.OUTPUT_FILE}...`);
+    fs.writeFileSync(CONFIG.OUTPUT_FILE, JSON.stringify(formatOutput(existing.hits)), 'utf8');
+
+    if (addedHits.length > 0) {
+      writeChangelog({
+        generatedAt: new Date().toISOString(),
+        since: args.since || null,
+        total: totalCount,
+        newIds: addedHits.map(h => h._id),
+        updatedIds: [],
+        removedIds: [],
+        newCompanies: [...getSeenValues(addedHits, 'company')].filter(c => !seenCompanies.has(c)).sort(),
+        newIssues: [...getSeenValues(addedHits, 'issue')].filter(i => !seenIssues.has(i)).sort(),
+      });
+    }
+
+    const shardIndex = writeShards(existing.hits);
+    console.log(`Wrote ${shardIndex.months.length} month shards for the dashboard`);
+
+    const elapsedSec = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`\nComplete! ${totalCount} complaints (${addedHits.length} new) in ${elapsedSec}s`);
+
+    if (process.env.GITHUB_OUTPUT) {
+      fs.appendFileSync(process.env.GITHUB_OUTPUT, `complaint_count=${totalCount}\n`);
+      fs.appendFileSync(process.env.GITHUB_OUTPUT, `new_complaints=${addedHits.length}\n`);
+    }
+  } catch (error) {
+    console.error('\nFatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  parseZipLocalHeader,
+  readFirstZipEntry,
+  parseCsv,
+  toHit,
+};
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Classification Migration
+ *
+ * Rewrites src/data/classifications.json from the original flat
+ * { complaint_id: "category" } format to full classification records (see
+ * scripts/classifiers/schema.cjs). Safe to re-run: records that are
+ * already objects are only normalized.
+ *
+ * Migrated records only have a `primary` category and no taxonomy, so they
+ * count as stale: the dashboard's secondary-label and confidence hints stay
+ * empty for them until `classify-complaints.cjs --reclassify` (run on the
+ * scheduled refresh) re-labels them.
+ *
+ * Usage: node scripts/migrate-classifications.cjs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeClassification, serializeClassifications } = require('./classifiers/schema.cjs');
+
+const CLASSIFICATIONS_PATH = path.join(__dirname, '..', 'src', 'data', 'classifications.json');
+
+function main() {
+  const raw = JSON.parse(fs.readFileSync(CLASSIFICATIONS_PATH, 'utf-8'));
+
+  const migrated = {};
+  let legacy = 0;
+  let dropped = 0;
+  for (const [id, value] of Object.entries(raw)) {
+    if (typeof value === 'string') legacy++;
+    const record = normalizeClassification(value);
+    if (record) {
+      migrated[id] = record;
+    } else {
+      dropped++;
+      console.warn(`  Dropping invalid classification for ID ${id}: ${JSON.stringify(value)}`);
+    }
+  }
+
+  fs.writeFileSync(CLASSIFICATIONS_PATH, serializeClassifications(migrated));
+  console.log(`Migrated ${legacy} legacy classifications (${Object.keys(migrated).length} total, ${dropped} dropped)`);
+}
+
+if (require.main === module) {
+  main();
+}
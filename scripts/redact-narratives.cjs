@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Narrative PII Scrubber
+ *
+ * The CFPB masks personal details in narratives with XXXX, but emails,
+ * phone numbers, wallet addresses and transaction hashes still slip
+ * through. This pass replaces them with a `[REDACTED <TYPE>]` token the
+ * dashboard renders as a "redacted" marker, and records the masked types
+ * on the complaint as `redacted: ['email', ...]`.
+ *
+ * fetch-cfpb-data.cjs and import-cfpb-csv.cjs scrub the stored and incoming
+ * complaints on every run. Running this script scrubs the stored dataset
+ * on its own (e.g. right after adding a pattern) and rebuilds the shards.
+ * Either way a redaction log of complaint IDs and
+ * counts per type - never the masked values - is written to
+ * reports/redaction-log.json. Already-masked text is left alone, so
+ * repeated runs are no-ops.
+ *
+ * Usage: node scripts/redact-narratives.cjs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeShards } = require('./build-shards.cjs');
+
+const COMPLAINTS_PATH = path.join(__dirname, '..', 'src', 'data', 'complaints.json');
+const REDACTION_LOG_FILE = path.join(__dirname, '..', 'reports', 'redaction-log.json');
+
+const BASE58 = '1-9A-HJ-NP-Za-km-z';
+
+// Luhn checksum, so order and reference numbers aren't taken for cards
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Applied in order; longer hex strings go first so a transaction hash isn't
+// half-masked as an address. `accept` rejects lookalikes of a match.
+const PII_PATTERNS = [
+  {
+    type: 'email',
+    label: 'EMAIL',
+    regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    // CFPB's own masking leaves addresses like XXXX@XXXX.com
+    accept: match => /[^X@.]/.test(match.replace(/\.[A-Za-z]{2,}$/, '')),
+  },
+  {
+    type: 'tx_hash',
+    label: 'TX HASH',
+    regex: /\b(?:0x)?[a-fA-F0-9]{64}\b/g,
+  },
+  {
+    type: 'wallet',
+    label: 'WALLET',
+    regex: new RegExp(`\\b(?:0x[a-fA-F0-9]{40}|bc1[ac-hj-np-z02-9]{25,59}|[${BASE58}]{26,44})\\b`, 'g'),
+    // Base58 addresses (BTC, SOL, TRX, XRP...) mix digits and both cases;
+    // words and plain numbers don't
+    accept: match => /^(0x|bc1)/.test(match) ||
+      (/\d/.test(match) && /[a-z]/.test(match) && /[A-Z]/.test(match)),
+  },
+  {
+    type: 'card',
+    label: 'CARD NUMBER',
+    // Unbroken, 4-4-4-4 style or Amex 4-6-5 groups
+    regex: /(?<![\d-])(?:\d{13,19}|\d{4}(?:[ -]\d{4}){2}[ -]\d{1,7}|\d{4}[ -]\d{6}[ -]\d{5})(?![\d-])/g,
+    accept: match => passesLuhn(match.replace(/\D/g, '')),
+  },
+  {
+    type: 'ssn',
+    label: 'SSN',
+    regex: /(?<![\d-])\d{3}-\d{2}-\d{4}(?![\d-])/g,
+  },
+  {
+    type: 'phone',
+    label: 'PHONE',
+    regex: /(?<![\w-])(?:\+?1[ .-]?)?(?:\(\d{3}\) ?|\d{3}[ .-])\d{3}[ .-]\d{4}(?![\w-])/g,
+  },
+];
+
+const PII_TYPES = PII_PATTERNS.map(p => p.type);
+
+/**
+ * Mask residual PII in a narrative. Returns the scrubbed text and the number
+ * of matches masked per type (empty when nothing was found).
+ */
+function scrubNarrative(text) {
+  const redactions = {};
+  if (!text) return { text, redactions };
+
+  let scrubbed = text;
+  for (const { type, label, regex, accept } of PII_PATTERNS) {
+    scrubbed = scrubbed.replace(regex, match => {
+      if (accept && !accept(match)) return match;
+      redactions[type] = (redactions[type] || 0) + 1;
+      return `[REDACTED ${label}]`;
+    });
+  }
+  return { text: scrubbed, redactions };
+}
+
+/**
+ * Scrub the narratives of the given hits in place. Returns one log entry per
+ * complaint that had something masked.
+ */
+function redactHits(hits) {
+  const entries = [];
+  for (const hit of hits) {
+    const source = hit._source;
+    if (!source?.complaint_what_happened) continue;
+
+    const { text, redactions } = scrubNarrative(source.complaint_what_happened);
+    const types = Object.keys(redactions);
+    if (types.length === 0) continue;
+
+    source.complaint_what_happened = text;
+    source.redacted = PII_TYPES.filter(type => types.includes(type) || source.redacted?.includes(type));
+    entries.push({
+      complaint_id: String(source.complaint_id ?? hit._id),
+      date_received: (source.date_received || '').slice(0, 10),
+      redactions,
+    });
+  }
+  return entries;
+}
+
+/**
+ * Write the redaction log for a scrubbing pass over `scanned` complaints to
+ * `file`, stamped with `now`
+ */
+function writeRedactionLog(scanned, entries, { file = REDACTION_LOG_FILE, now = new Date() } = {}) {
+  const totals = Object.fromEntries(PII_TYPES.map(type => [type, 0]));
+  for (const entry of entries) {
+    for (const [type, count] of Object.entries(entry.redactions)) {
+      totals[type] += count;
+    }
+  }
+
+  const log = {
+    generatedAt: now.toISOString(),
+    scanned,
+    redactedComplaints: entries.length,
+    totals,
+    complaints: entries,
+  };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(log, null, 2) + '\n', 'utf8');
+
+  console.log(`\nRedaction log (${file}):`);
+  console.log(`  Narratives with residual PII: ${entries.length} of ${scanned}`);
+  for (const [type, count] of Object.entries(totals)) {
+    if (count > 0) {
+      console.log(`  ${type}: ${count} masked`);
+    }
+  }
+  return log;
+}
+
+function main() {
+  if (!fs.existsSync(COMPLAINTS_PATH)) {
+    console.error(`Error: ${COMPLAINTS_PATH} not found. Run npm run fetch-data first.`);
+    process.exit(1);
+  }
+
+  const data = JSON.parse(fs.readFileSync(COMPLAINTS_PATH, 'utf8'));
+  const hits = data.hits?.hits || [];
+  const entries = redactHits(hits);
+  writeRedactionLog(hits.length, entries);
+
+  if (entries.length > 0) {
+    fs.writeFileSync(COMPLAINTS_PATH, JSON.stringify(data), 'utf8');
+    const index = writeShards(hits);
+    console.log(`Updated ${COMPLAINTS_PATH} and rebuilt ${index.months.length} month shards`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  REDACTION_LOG_FILE,
+  PII_TYPES,
+  scrubNarrative,
+  redactHits,
+  writeRedactionLog,
+};
@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+
+/**
+ * Complaint Data Validator
+ *
+ * Checks src/data/complaints.json after a fetch, so a CFPB schema change
+ * fails the refresh instead of silently blanking the dashboard:
+ *
+ *   - every hit against scripts/complaint-schema.json
+ *   - null rates of the fields the dashboard relies on
+ *   - values outside the schema's enums (new response types etc.)
+ *   - states outside the 50 states + DC the heatmap can draw
+ *
+ * Complaints received in the last --recent-days (default 30) before the
+ * newest one are compared with everything older. The run fails when the
+ * recent window regresses beyond the THRESHOLDS below. The full data-quality
+ * report is written to reports/data-quality.json.
+ *
+ * Usage: node scripts/validate-complaints.cjs [--recent-days <n>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const COMPLAINTS_PATH = path.join(__dirname, '..', 'src', 'data', 'complaints.json');
+const SCHEMA_PATH = path.join(__dirname, 'complaint-schema.json');
+const REPORT_PATH = path.join(__dirname, '..', 'reports', 'data-quality.json');
+
+const THRESHOLDS = {
+  // Below this many recent complaints the comparison is too noisy to fail on
+  MIN_RECENT: 25,
+  // Share of recent complaints that may fail the schema (excluding enums)
+  MAX_SCHEMA_ERROR_RATE: 0.01,
+  // Share of recent complaints that may carry an unknown value per enum field
+  MAX_UNKNOWN_ENUM_RATE: 0.05,
+  // Allowed rise of the recent null rate over the older one, per field.
+  // Narratives get more slack: consent and publication lag behind.
+  MAX_NULL_RATE_INCREASE: {
+    default: 0.1,
+    complaint_what_happened: 0.35,
+  },
+  // Allowed rise in the share of states the heatmap can't draw
+  MAX_OUTSIDE_MAP_INCREASE: 0.05,
+};
+
+// Fields the dashboard renders or filters on
+const TRACKED_FIELDS = [
+  'date_received',
+  'company',
+  'product',
+  'issue',
+  'state',
+  'timely',
+  'company_response',
+  'complaint_what_happened',
+];
+
+// The states StateHeatmap can draw
+const MAP_STATES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL',
+  'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT',
+  'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI',
+  'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'DC',
+]);
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by
+ * complaint-schema.json. Returns [{ path, keyword, value }] for each failure.
+ */
+function validate(schema, value, pointer = '', errors = []) {
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!allowed.includes(actual) && !(actual === 'integer' && allowed.includes('number'))) {
+      errors.push({ path: pointer, keyword: 'type', value: actual });
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: pointer, keyword: 'enum', value });
+  }
+  if (typeof value === 'string' || typeof value === 'number') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(String(value))) {
+      errors.push({ path: pointer, keyword: 'pattern', value });
+    }
+    if (schema.minLength !== undefined && String(value).length < schema.minLength) {
+      errors.push({ path: pointer, keyword: 'minLength', value });
+    }
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: `${pointer}/${key}`, keyword: 'required' });
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (key in value) validate(propSchema, value[key], `${pointer}/${key}`, errors);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validate(schema.items, item, `${pointer}/${i}`, errors));
+  }
+  return errors;
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function createStats() {
+  return {
+    complaints: 0,
+    schemaErrors: 0,
+    errorsByPath: {},
+    nulls: Object.fromEntries(TRACKED_FIELDS.map(field => [field, 0])),
+    unknownEnums: {},
+    outsideMap: 0,
+    outsideMapStates: {},
+    sampleIds: [],
+  };
+}
+
+function addHit(stats, schema, hit) {
+  const source = hit._source || {};
+  stats.complaints++;
+
+  const errors = validate(schema, hit);
+  const schemaErrors = errors.filter(e => e.keyword !== 'enum');
+  if (schemaErrors.length > 0) {
+    stats.schemaErrors++;
+    if (stats.sampleIds.length < 20) stats.sampleIds.push(hit._id);
+  }
+  for (const error of schemaErrors) {
+    const key = `${error.path} (${error.keyword})`;
+    stats.errorsByPath[key] = (stats.errorsByPath[key] || 0) + 1;
+  }
+  for (const error of errors.filter(e => e.keyword === 'enum')) {
+    const field = error.path.split('/').pop();
+    const values = stats.unknownEnums[field] = stats.unknownEnums[field] || {};
+    values[error.value] = (values[error.value] || 0) + 1;
+  }
+
+  for (const field of TRACKED_FIELDS) {
+    if (isBlank(source[field])) stats.nulls[field]++;
+  }
+
+  if (!isBlank(source.state) && !MAP_STATES.has(source.state)) {
+    stats.outsideMap++;
+    stats.outsideMapStates[source.state] = (stats.outsideMapStates[source.state] || 0) + 1;
+  }
+}
+
+function rate(count, total) {
+  return total > 0 ? count / total : 0;
+}
+
+// Rates derived from the raw counts, rounded for the report
+function summarize(stats) {
+  const round = value => Math.round(value * 10000) / 10000;
+  return {
+    complaints: stats.complaints,
+    schemaErrors: stats.schemaErrors,
+    schemaErrorRate: round(rate(stats.schemaErrors, stats.complaints)),
+    errorsByPath: stats.errorsByPath,
+    nullRates: Object.fromEntries(TRACKED_FIELDS.map(field => [field, round(rate(stats.nulls[field], stats.complaints))])),
+    unknownEnumValues: stats.unknownEnums,
+    outsideMapRate: round(rate(stats.outsideMap, stats.complaints)),
+    outsideMapStates: stats.outsideMapStates,
+    sampleInvalidIds: stats.sampleIds,
+  };
+}
+
+/**
+ * Compare the recent window with the older baseline and list every
+ * threshold it breaks
+ */
+function findRegressions(recent, baseline) {
+  const failures = [];
+  if (recent.complaints < THRESHOLDS.MIN_RECENT) return failures;
+
+  if (recent.schemaErrorRate > THRESHOLDS.MAX_SCHEMA_ERROR_RATE) {
+    failures.push(`${recent.schemaErrors} of ${recent.complaints} recent complaints fail the schema`);
+  }
+
+  for (const [field, values] of Object.entries(recent.unknownEnumValues)) {
+    const count = Object.values(values).reduce((sum, n) => sum + n, 0);
+    if (rate(count, recent.complaints) > THRESHOLDS.MAX_UNKNOWN_ENUM_RATE) {
+      failures.push(`${field}: ${count} recent complaints with unknown values (${Object.keys(values).join(', ')})`);
+    }
+  }
+
+  // Relative checks need older data to compare with
+  if (baseline.complaints === 0) return failures;
+
+  for (const field of TRACKED_FIELDS) {
+    const allowed = THRESHOLDS.MAX_NULL_RATE_INCREASE[field] ?? THRESHOLDS.MAX_NULL_RATE_INCREASE.default;
+    const increase = recent.nullRates[field] - baseline.nullRates[field];
+    if (increase > allowed) {
+      failures.push(`${field}: null rate ${formatPercent(recent.nullRates[field])} recently vs ${formatPercent(baseline.nullRates[field])} before`);
+    }
+  }
+
+  if (recent.outsideMapRate - baseline.outsideMapRate > THRESHOLDS.MAX_OUTSIDE_MAP_INCREASE) {
+    failures.push(`state: ${formatPercent(recent.outsideMapRate)} outside the map recently vs ${formatPercent(baseline.outsideMapRate)} before`);
+  }
+
+  return failures;
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function writeStepSummary(report) {
+  if (!process.env.GITHUB_STEP_SUMMARY) return;
+  const { recent, baseline } = report.windows;
+  const lines = [
+    `### Complaint data quality ${report.passed ? 'passed' : 'FAILED'}`,
+    '',
+    `| | Last ${report.recentDays} days | Before |`,
+    '|---|---|---|',
+    `| Complaints | ${recent.complaints} | ${baseline.complaints} |`,
+    `| Schema errors | ${recent.schemaErrors} | ${baseline.schemaErrors} |`,
+    ...TRACKED_FIELDS.map(field =>
+      `| \`${field}\` null | ${formatPercent(recent.nullRates[field])} | ${formatPercent(baseline.nullRates[field])} |`
+    ),
+    `| States outside the map | ${formatPercent(recent.outsideMapRate)} | ${formatPercent(baseline.outsideMapRate)} |`,
+    '',
+    ...report.failures.map(failure => `- ${failure}`),
+  ];
+  fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, lines.join('\n') + '\n');
+}
+
+function main() {
+  const { values: args } = parseArgs({
+    options: {
+      'recent-days': { type: 'string', default: '30' },
+    },
+  });
+  const recentDays = parseInt(args['recent-days'], 10);
+  if (!Number.isInteger(recentDays) || recentDays < 1) {
+    console.error(`Error: --recent-days expects a positive number, got "${args['recent-days']}"`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(COMPLAINTS_PATH)) {
+    console.error(`Error: ${COMPLAINTS_PATH} not found. Run npm run fetch-data first.`);
+    process.exit(1);
+  }
+
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  const data = JSON.parse(fs.readFileSync(COMPLAINTS_PATH, 'utf8'));
+  const hits = data.hits?.hits;
+  if (!Array.isArray(hits) || hits.length === 0) {
+    console.error(`Error: ${COMPLAINTS_PATH} has no complaints under hits.hits`);
+    process.exit(1);
+  }
+
+  // The window ends at the newest complaint, not today, so a stale dataset
+  // still has a recent window to compare
+  const newest = hits.reduce((max, h) => {
+    const date = String(h._source?.date_received || '').slice(0, 10);
+    return date > max ? date : max;
+  }, '');
+  const cutoffDate = new Date(`${newest}T00:00:00Z`);
+  cutoffDate.setUTCDate(cutoffDate.getUTCDate() - recentDays);
+  const cutoff = cutoffDate.toISOString().slice(0, 10);
+
+  const recentStats = createStats();
+  const baselineStats = createStats();
+  for (const hit of hits) {
+    // Hits without a usable date count as recent so they can't hide
+    const date = String(hit._source?.date_received || '').slice(0, 10);
+    addHit(date && date < cutoff ? baselineStats : recentStats, schema, hit);
+  }
+
+  const recent = summarize(recentStats);
+  const baseline = summarize(baselineStats);
+  const failures = findRegressions(recent, baseline);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    total: hits.length,
+    recentDays,
+    recentSince: cutoff,
+    thresholds: THRESHOLDS,
+    passed: failures.length === 0,
+    failures,
+    windows: { recent, baseline },
+  };
+
+  fs.mkdirSync(path.dirname(REPORT_PATH), { recursive: true });
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2) + '\n', 'utf8');
+  writeStepSummary(report);
+
+  console.log(`Validated ${hits.length} complaints (${recent.complaints} received since ${cutoff})`);
+  console.log(`  Schema errors: ${recent.schemaErrors} recent, ${baseline.schemaErrors} older`);
+  for (const field of TRACKED_FIELDS) {
+    console.log(`  ${field.padEnd(24)} null ${formatPercent(recent.nullRates[field]).padStart(6)} recent, ${formatPercent(baseline.nullRates[field]).padStart(6)} older`);
+  }
+  if (recent.complaints < THRESHOLDS.MIN_RECENT) {
+    console.warn(`  Only ${recent.complaints} recent complaints, too few to check for regressions`);
+  }
+  console.log(`Report written to ${REPORT_PATH}`);
+
+  if (failures.length > 0) {
+    console.error('\nData quality regression:');
+    failures.forEach(failure => console.error(`  - ${failure}`));
+    process.exit(1);
+  }
+}
+
+main();
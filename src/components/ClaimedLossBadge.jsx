@@ -0,0 +1,21 @@
+import { describeLoss, SEVERITY_LABELS } from '../utils/losses';
+
+// Claimed loss and severity extracted from a complaint's narrative, for the
+// Response Status badges in the complaint detail modals
+export function ClaimedLossBadge({ loss }) {
+  const description = describeLoss(loss);
+  if (!description) return null;
+
+  return (
+    <span
+      className={`inline-flex px-3 py-1 text-sm font-medium rounded-full ${
+        loss.severity >= 4
+          ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+          : 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-200'
+      }`}
+      title="Extracted from the consumer narrative"
+    >
+      Claimed {description} · {SEVERITY_LABELS[loss.severity]} ({loss.severity}/5)
+    </span>
+  );
+}
@@ -0,0 +1,39 @@
+import { ISSUE_CATEGORY_LABELS, SCAM_TYPE_LABELS, isLowConfidence } from '../utils/classificationLabels';
+
+// Classifier output for a complaint: optional primary label, scam type,
+// secondary labels and a low-confidence flag (rationale on hover)
+export function ClassificationBadges({ classification, showPrimary = false }) {
+  if (!classification) return null;
+
+  const lowConfidence = isLowConfidence(classification);
+  const scamType = classification.scam_type;
+  if (!showPrimary && !scamType && classification.secondary.length === 0 && !lowConfidence) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 mb-2" title={classification.rationale || undefined}>
+      {showPrimary && (
+        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-indigo-600 text-white">
+          {ISSUE_CATEGORY_LABELS[classification.primary] || classification.primary}
+        </span>
+      )}
+      {scamType && (
+        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-200">
+          {SCAM_TYPE_LABELS[scamType] || scamType}
+        </span>
+      )}
+      {classification.secondary.map(id => (
+        <span
+          key={id}
+          className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-200"
+        >
+          Also: {ISSUE_CATEGORY_LABELS[id] || id}
+        </span>
+      ))}
+      {lowConfidence && (
+        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-200">
+          ⚠ Low confidence ({Math.round(classification.confidence * 100)}%)
+        </span>
+      )}
+    </div>
+  );
+}
@@ -1,85 +1,54 @@
 import { useState, useMemo, useRef } from 'react';
 import { format, parseISO } from 'date-fns';
-import aiClassifications from '../data/classifications.json';
+import { getCompanyDisplayName } from '../utils/companyUniverse';
+import { useNarrative } from '../hooks/useNarrative';
+import { LabelReview } from './LabelReview';
+import { ClaimedLossBadge } from './ClaimedLossBadge';
+import { RedactedNarrative, RedactionBadge } from './RedactedNarrative';
+import { formatUsd } from '../utils/losses';
 
 // Colors for bars
 const COLORS = ['#1d4ed8', '#2563eb', '#3b82f6', '#0369a1', '#0891b2', '#0d9488', '#059669'];
 
-export function CompanyComparison({ data, rawData = [] }) {
+// Sort indicator for a column header
+function SortIcon({ column, sortBy, sortOrder }) {
+  if (sortBy !== column) {
+    return (
+      <svg className="w-3.5 h-3.5 ml-1 text-gray-300 dark:text-gray-600 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4" />
+      </svg>
+    );
+  }
+  return sortOrder === 'desc' ? (
+    <svg className="w-3.5 h-3.5 ml-1 text-blue-500 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+    </svg>
+  ) : (
+    <svg className="w-3.5 h-3.5 ml-1 text-blue-500 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+    </svg>
+  );
+}
+
+// `expanded` (show every company) is owned by the Dashboard so saved views
+// can restore it. `labelReview` is useLabelOverrides' state for the
+// complaint modal's category review.
+export function CompanyComparison({ data, showLosses = true, expanded: showAll = false, onExpandedChange, labelReview }) {
   const [sortBy, setSortBy] = useState('total');
   const [sortOrder, setSortOrder] = useState('desc');
-  const [showAll, setShowAll] = useState(false);
   const [selectedCompany, setSelectedCompany] = useState(null);
   const [selectedComplaint, setSelectedComplaint] = useState(null);
   const [showAllComplaints, setShowAllComplaints] = useState(false);
   const [showReliefTooltip, setShowReliefTooltip] = useState(false);
   const [tooltipPos, setTooltipPos] = useState({ top: 0, left: 0 });
   const reliefBtnRef = useRef(null);
+  const { narrative: selectedNarrative, loading: narrativeLoading } = useNarrative(selectedComplaint);
 
-  // Enhanced data with fraud rate and trends
-  const enhancedData = useMemo(() => {
-    if (!data || data.length === 0) return [];
-
-    return data.map(company => {
-      // Get complaints for this company
-      const companyComplaints = rawData.filter(c => c.company === company.company);
-
-      // Calculate fraud rate from AI classifications
-      const fraudCount = companyComplaints.filter(c => {
-        const id = String(c.complaint_id);
-        return aiClassifications[id] === 'fraud';
-      }).length;
-      const fraudRate = companyComplaints.length > 0
-        ? Math.round((fraudCount / companyComplaints.length) * 100)
-        : 0;
-
-      // Calculate 30-day trend
-      const now = new Date();
-      const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-      const sixtyDaysAgo = new Date(now.getTime() - 60 * 24 * 60 * 60 * 1000);
-
-      const recentCount = companyComplaints.filter(c => {
-        const date = new Date(c.date_received);
-        return date >= thirtyDaysAgo;
-      }).length;
-
-      const previousCount = companyComplaints.filter(c => {
-        const date = new Date(c.date_received);
-        return date >= sixtyDaysAgo && date < thirtyDaysAgo;
-      }).length;
-
-      let trend = 'neutral';
-      let trendPercent = 0;
-      if (previousCount > 0) {
-        trendPercent = Math.round(((recentCount - previousCount) / previousCount) * 100);
-        trend = trendPercent > 5 ? 'up' : trendPercent < -5 ? 'down' : 'neutral';
-      }
-
-      // Get date range
-      const dates = companyComplaints
-        .map(c => c.date_received)
-        .filter(Boolean)
-        .sort();
-      const dateRange = dates.length > 0
-        ? { oldest: dates[0], newest: dates[dates.length - 1] }
-        : null;
-
-      return {
-        ...company,
-        fraudRate,
-        trend,
-        trendPercent: Math.abs(trendPercent),
-        recentCount,
-        previousCount,
-        dateRange,
-        complaints: companyComplaints,
-      };
-    });
-  }, [data, rawData]);
-
-  // Sort data
+  // Sort data. Rows come from buildCompanyDetails (fraud rate, trend,
+  // claimed losses and complaint list per company), computed in the
+  // complaints worker
   const sortedData = useMemo(() => {
-    return [...enhancedData].sort((a, b) => {
+    return [...(data || [])].sort((a, b) => {
       const aVal = a[sortBy] ?? 0;
       const bVal = b[sortBy] ?? 0;
       // Handle string comparison (company names) vs numeric comparison
@@ -90,7 +59,7 @@ export function CompanyComparison({ data, rawData = [] }) {
       }
       return sortOrder === 'desc' ? bVal - aVal : aVal - bVal;
     });
-  }, [enhancedData, sortBy, sortOrder]);
+  }, [data, sortBy, sortOrder]);
 
   // Visible companies
   const visibleCompanies = showAll ? sortedData : sortedData.slice(0, 8);
@@ -105,26 +74,6 @@ export function CompanyComparison({ data, rawData = [] }) {
     }
   };
 
-  // Sort indicator
-  const SortIcon = ({ column }) => {
-    if (sortBy !== column) {
-      return (
-        <svg className="w-3.5 h-3.5 ml-1 text-gray-300 dark:text-gray-600 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4" />
-        </svg>
-      );
-    }
-    return sortOrder === 'desc' ? (
-      <svg className="w-3.5 h-3.5 ml-1 text-blue-500 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
-      </svg>
-    ) : (
-      <svg className="w-3.5 h-3.5 ml-1 text-blue-500 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
-      </svg>
-    );
-  };
-
   if (!data || data.length === 0) {
     return (
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
@@ -158,7 +107,7 @@ export function CompanyComparison({ data, rawData = [] }) {
               >
                 <span className="hidden sm:inline">Company</span>
                 <span className="sm:hidden">Co.</span>
-                <SortIcon column="company" />
+                <SortIcon sortBy={sortBy} sortOrder={sortOrder} column="company" />
               </th>
               <th
                 className="px-2 sm:px-3 py-2 sm:py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider cursor-pointer hover:text-gray-700 dark:hover:text-gray-200"
@@ -166,19 +115,19 @@ export function CompanyComparison({ data, rawData = [] }) {
               >
                 <span className="hidden sm:inline">Complaints</span>
                 <span className="sm:hidden">#</span>
-                <SortIcon column="total" />
+                <SortIcon sortBy={sortBy} sortOrder={sortOrder} column="total" />
               </th>
               <th
                 className="px-2 sm:px-3 py-2 sm:py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider cursor-pointer hover:text-gray-700 dark:hover:text-gray-200 whitespace-nowrap"
                 onClick={() => handleSort('timelyRate')}
               >
-                Timely % <SortIcon column="timelyRate" />
+                Timely % <SortIcon sortBy={sortBy} sortOrder={sortOrder} column="timelyRate" />
               </th>
               <th
                 className="px-2 sm:px-3 py-2 sm:py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider cursor-pointer hover:text-gray-700 dark:hover:text-gray-200 whitespace-nowrap"
                 onClick={() => handleSort('disputeRate')}
               >
-                Disputed % <SortIcon column="disputeRate" />
+                Disputed % <SortIcon sortBy={sortBy} sortOrder={sortOrder} column="disputeRate" />
               </th>
               <th
                 className="px-2 sm:px-3 py-2 sm:py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider cursor-pointer hover:text-gray-700 dark:hover:text-gray-200"
@@ -186,14 +135,14 @@ export function CompanyComparison({ data, rawData = [] }) {
               >
                 <span className="hidden sm:inline">Fraud %</span>
                 <span className="sm:hidden">Fraud</span>
-                <SortIcon column="fraudRate" />
+                <SortIcon sortBy={sortBy} sortOrder={sortOrder} column="fraudRate" />
               </th>
               <th className="px-2 sm:px-3 py-2 sm:py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider whitespace-nowrap">
                 <span
                   className="cursor-pointer hover:text-gray-700 dark:hover:text-gray-200"
                   onClick={() => handleSort('reliefRate')}
                 >
-                  Relief % <SortIcon column="reliefRate" />
+                  Relief % <SortIcon sortBy={sortBy} sortOrder={sortOrder} column="reliefRate" />
                 </span>
                 <button
                   type="button"
@@ -221,6 +170,17 @@ export function CompanyComparison({ data, rawData = [] }) {
                   </svg>
                 </button>
               </th>
+              {showLosses && (
+                <th
+                  className="px-2 sm:px-3 py-2 sm:py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider cursor-pointer hover:text-gray-700 dark:hover:text-gray-200 whitespace-nowrap"
+                  onClick={() => handleSort('claimedLosses')}
+                  title="USD losses claimed in consumer narratives"
+                >
+                  <span className="hidden sm:inline">Claimed Losses</span>
+                  <span className="sm:hidden">Losses</span>
+                  <SortIcon sortBy={sortBy} sortOrder={sortOrder} column="claimedLosses" />
+                </th>
+              )}
               <th className="px-2 sm:px-3 py-2 sm:py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                 <span className="hidden sm:inline">30d Trend</span>
                 <span className="sm:hidden">Trend</span>
@@ -239,8 +199,11 @@ export function CompanyComparison({ data, rawData = [] }) {
                     <span className="text-xs font-medium text-gray-400 dark:text-gray-500 w-4 sm:w-5">
                       {index + 1}
                     </span>
-                    <span className="text-xs sm:text-sm font-medium text-gray-900 dark:text-white truncate max-w-[100px] sm:max-w-[180px]">
-                      {company.company}
+                    <span
+                      className="text-xs sm:text-sm font-medium text-gray-900 dark:text-white truncate max-w-[100px] sm:max-w-[180px]"
+                      title={company.company}
+                    >
+                      {getCompanyDisplayName(company.company)}
                     </span>
                   </div>
                 </td>
@@ -296,6 +259,11 @@ export function CompanyComparison({ data, rawData = [] }) {
                 <td className="px-2 sm:px-3 py-2 sm:py-3 text-xs sm:text-sm text-right text-gray-700 dark:text-gray-300 whitespace-nowrap">
                   {company.reliefRate}%
                 </td>
+                {showLosses && (
+                  <td className="px-2 sm:px-3 py-2 sm:py-3 text-xs sm:text-sm text-right text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                    {company.claimedLosses > 0 ? formatUsd(company.claimedLosses) : <span className="text-gray-500">—</span>}
+                  </td>
+                )}
                 <td className="px-2 sm:px-3 py-2 sm:py-3 text-xs sm:text-sm text-right">
                   {company.trend === 'up' && company.recentCount >= 3 ? (
                     <span className="text-red-600 dark:text-red-400 font-semibold">↑{company.trendPercent}%</span>
@@ -315,7 +283,7 @@ export function CompanyComparison({ data, rawData = [] }) {
       {sortedData.length > 8 && (
         <div className="mt-4 text-center">
           <button
-            onClick={() => setShowAll(!showAll)}
+            onClick={() => onExpandedChange(!showAll)}
             className="text-sm text-blue-500 hover:text-blue-400 transition-colors"
           >
             {showAll ? `Show less` : `Show all ${sortedData.length} companies`}
@@ -345,8 +313,11 @@ export function CompanyComparison({ data, rawData = [] }) {
               <div className="flex justify-between items-start">
                 <div>
                   <h3 className="text-xl font-bold text-gray-900 dark:text-white">
-                    {selectedCompany.company}
+                    {getCompanyDisplayName(selectedCompany.company)}
                   </h3>
+                  {getCompanyDisplayName(selectedCompany.company) !== selectedCompany.company && (
+                    <p className="text-xs text-gray-400 dark:text-gray-500">{selectedCompany.company}</p>
+                  )}
                   <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
                     {selectedCompany.total.toLocaleString()} total complaints
                     {selectedCompany.dateRange && (
@@ -408,6 +379,40 @@ export function CompanyComparison({ data, rawData = [] }) {
                 </div>
               </div>
 
+              {/* Claimed losses by month */}
+              {selectedCompany.lossByMonth?.length > 0 && (
+                <div className="mb-6 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+                  <div className="flex justify-between items-baseline mb-2">
+                    <div className="text-sm font-medium text-gray-700 dark:text-gray-300">Claimed Losses by Month</div>
+                    <div className="text-sm font-bold text-gray-900 dark:text-white">
+                      {formatUsd(selectedCompany.claimedLosses, { compact: false })}
+                    </div>
+                  </div>
+                  <div className="space-y-1 max-h-48 overflow-y-auto">
+                    {[...selectedCompany.lossByMonth].reverse().map(month => {
+                      const maxLoss = Math.max(...selectedCompany.lossByMonth.map(m => m.claimedLosses));
+                      return (
+                        <div key={month.month} className="flex items-center gap-3">
+                          <span className="text-xs text-gray-600 dark:text-gray-400 w-16 flex-shrink-0">{month.label}</span>
+                          <div className="flex-1 h-4 bg-gray-100 dark:bg-gray-700 rounded overflow-hidden">
+                            <div
+                              className="h-full bg-amber-500 rounded"
+                              style={{ width: `${(month.claimedLosses / maxLoss) * 100}%` }}
+                            />
+                          </div>
+                          <span
+                            className="text-xs font-medium text-gray-900 dark:text-white w-24 text-right"
+                            title={`${month.lossComplaints} complaint${month.lossComplaints === 1 ? '' : 's'}`}
+                          >
+                            {formatUsd(month.claimedLosses)} ({month.lossComplaints})
+                          </span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
               {/* Recent Complaints Preview */}
               <div>
                 <div className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">
@@ -489,6 +494,17 @@ export function CompanyComparison({ data, rawData = [] }) {
                 )}
               </div>
 
+              {/* AI category, with accept/override */}
+              {labelReview && (
+                <LabelReview
+                  key={selectedComplaint.complaint_id}
+                  complaint={selectedComplaint}
+                  overrides={labelReview.overrides}
+                  onReview={labelReview.reviewLabel}
+                  onExport={labelReview.exportToJson}
+                />
+              )}
+
               {/* Product & Sub-product */}
               <div className="grid grid-cols-2 gap-4">
                 <div>
@@ -534,14 +550,18 @@ export function CompanyComparison({ data, rawData = [] }) {
                     Consumer Disputed
                   </span>
                 )}
+                <ClaimedLossBadge loss={selectedComplaint.classification?.loss} />
               </div>
 
               {/* Narrative */}
-              {selectedComplaint.complaint_what_happened && (
+              {(selectedNarrative || narrativeLoading) && (
                 <div>
-                  <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase mb-2">Consumer Narrative</div>
+                  <div className="flex items-center gap-2 mb-2">
+                    <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Consumer Narrative</div>
+                    <RedactionBadge types={selectedComplaint.redacted} />
+                  </div>
                   <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap max-h-64 overflow-y-auto">
-                    {selectedComplaint.complaint_what_happened}
+                    {narrativeLoading ? 'Loading narrative...' : <RedactedNarrative text={selectedNarrative} />}
                   </div>
                 </div>
               )}
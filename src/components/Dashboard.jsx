@@ -1,14 +1,14 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useCallback } from 'react';
 import { useComplaints } from '../hooks/useComplaints';
-import {
-  groupByMonth,
-  groupByCompany,
-  calculateMetrics,
-  getUniqueIssues,
-  getUniqueCompanies,
-} from '../utils/dataProcessing';
-import { getComplaintsWithNarratives } from '../utils/textAnalysis';
-import aiClassifications from '../data/classifications.json';
+import { getTrackedCompanyNames } from '../utils/companyUniverse';
+import { normalizeFieldFilter, setFilterValue } from '../utils/filterComplaints';
+import { useNarrative } from '../hooks/useNarrative';
+import { useUrlState } from '../hooks/useUrlState';
+import { useComplaintLookup } from '../hooks/useComplaintLookup';
+import { useSavedViews } from '../hooks/useSavedViews';
+import { useLabelOverrides } from '../hooks/useLabelOverrides';
+import { loadSavedViews, getDefaultView } from '../utils/savedViews';
+import { formatUsd } from '../utils/losses';
 import { MetricCard } from './MetricCard';
 import { TrendChart } from './TrendChart';
 import { CompanyComparison } from './CompanyComparison';
@@ -18,75 +18,88 @@ import { IssueInsights } from './IssueInsights';
 import { PriceCorrelation } from './PriceCorrelation';
 import { RegulatoryTimeline } from './RegulatoryTimeline';
 import { ThemeToggle } from './ThemeToggle';
+import { SearchResults } from './SearchResults';
+import { RedactedNarrative, RedactionBadge } from './RedactedNarrative';
+import { SavedViews } from './SavedViews';
+import { LabelReview } from './LabelReview';
+import { DatasetChangelog } from './DatasetChangelog';
+
+const DEFAULT_PANELS = { timeline: false, companies: false };
 
 export function Dashboard() {
-  const [filters, setFilters] = useState({});
+  // A link with view state wins; otherwise start from the default saved view
+  const [defaultView] = useState(() => (window.location.search ? null : getDefaultView(loadSavedViews())));
+  const savedViews = useSavedViews();
+  const labelReview = useLabelOverrides();
+  // Expanded/collapsed panels (saved with views, not part of the URL)
+  const [panels, setPanels] = useState(() => ({ ...DEFAULT_PANELS, ...defaultView?.panels }));
+
+  // Filters, open complaint, selected pattern and search live in the URL
+  const [view, setView] = useUrlState(defaultView ? { filters: defaultView.filters } : null);
+  const filters = view.filters;
+  const setFilters = useCallback((update) => {
+    setView(prev => ({ filters: typeof update === 'function' ? update(prev.filters) : update }));
+  }, [setView]);
   const [showHistoryModal, setShowHistoryModal] = useState(false);
   const [historyExpanded, setHistoryExpanded] = useState(false);
-  const [searchId, setSearchId] = useState('');
-  const [searchedComplaint, setSearchedComplaint] = useState(null);
-  const [searchError, setSearchError] = useState(null);
-  const { data, loading, error, lastUpdated, isLive, totalCount } = useComplaints(filters);
+  // The search box shows the open complaint or search from the URL, and
+  // follows it on back/forward; typing only changes the draft
+  const urlSearch = view.complaint || view.q || '';
+  const [searchId, setSearchId] = useState(urlSearch);
+  const [syncedSearch, setSyncedSearch] = useState(urlSearch);
+  if (syncedSearch !== urlSearch) {
+    setSyncedSearch(urlSearch);
+    setSearchId(urlSearch);
+  }
+  const { data, aggregates, loading, detailsLoading, error, lastUpdated, isLive, totalCount } = useComplaints(filters, labelReview.overrides);
+  const { complaint: searchedComplaint, notFound } = useComplaintLookup(view.complaint);
+  const { narrative: searchedNarrative, loading: narrativeLoading } = useNarrative(searchedComplaint);
+  const searchError = notFound && searchId.trim() === view.complaint
+    ? `Complaint #${view.complaint} not found`
+    : null;
+  const closeComplaint = () => setView({ complaint: null });
 
-  // Search for complaint by ID
+  // Numbers look up a complaint by ID; anything else searches narratives
   const handleSearch = (e) => {
     e.preventDefault();
-    if (!searchId.trim()) return;
-    const found = data.find(c => String(c.complaint_id) === searchId.trim());
-    if (found) {
-      setSearchedComplaint(found);
-      setSearchError(null);
+    const value = searchId.trim();
+    if (!value) return;
+    if (/^\d+$/.test(value)) {
+      setView({ complaint: value });
     } else {
-      setSearchError(`Complaint #${searchId} not found`);
-      setSearchedComplaint(null);
+      setView({ q: value });
     }
   };
 
-  // Get most recent complaint date
-  const latestDate = useMemo(() => {
-    if (data.length === 0) return null;
-    const dates = data.map(c => c.date_received).filter(Boolean).sort();
-    return dates[dates.length - 1];
-  }, [data]);
-
-  // Group complaints by week for history view
-  const weeklyHistory = useMemo(() => {
-    const weeks = {};
-    data.forEach(c => {
-      if (!c.date_received) return;
-      const date = new Date(c.date_received);
-      // Get Monday of that week
-      const day = date.getDay();
-      const diff = date.getDate() - day + (day === 0 ? -6 : 1);
-      const monday = new Date(date.setDate(diff));
-      const weekKey = monday.toISOString().slice(0, 10);
-      weeks[weekKey] = (weeks[weekKey] || 0) + 1;
-    });
-    return Object.entries(weeks)
-      .sort((a, b) => b[0].localeCompare(a[0]));
-  }, [data]);
-
-  // Process data for charts
-  const trendData = useMemo(() => groupByMonth(data), [data]);
-  const companyData = useMemo(() => groupByCompany(data), [data]);
-  const metrics = useMemo(() => calculateMetrics(data), [data]);
-  const fraudRate = useMemo(() => {
-    if (!data || data.length === 0) return 0;
-    const fraudCount = data.filter(c => aiClassifications[String(c.complaint_id)] === 'fraud').length;
-    return Math.round((fraudCount / data.length) * 100);
-  }, [data]);
-  const narrativeData = useMemo(() => getComplaintsWithNarratives(data), [data]);
+  // Aggregates are computed in the complaints worker (see useComplaints)
+  const {
+    latestDate,
+    weeklyHistory,
+    trendData,
+    companyDetails,
+    metrics,
+    fraudRate,
+    narrativeCount,
+    issuePatterns,
+    stateCounts,
+    filterOptions,
+    hasLossData,
+  } = aggregates;
 
-  // Get filter options from data
-  const companies = useMemo(() => getUniqueCompanies(data), [data]);
-  const issues = useMemo(() => getUniqueIssues(data), [data]);
+  // Latest month with a claimed loss, for the Claimed Losses card
+  const latestMonth = trendData.findLast(month => month.claimedLosses > 0);
 
   // Handle state filter from heatmap
+  // Memoized so the heatmap (memo) only re-renders when the states change
+  const selectedStates = useMemo(() => normalizeFieldFilter(filters.state).include, [filters.state]);
+
+  // Tapping a state toggles it in the included states; null clears them
   const handleStateClick = (state) => {
-    setFilters(prev => ({
-      ...prev,
-      state: state,
-    }));
+    setFilters(prev => {
+      if (!state) return { ...prev, state: undefined };
+      const included = normalizeFieldFilter(prev.state).include.includes(state);
+      return setFilterValue(prev, 'state', state, included ? null : 'include');
+    });
   };
 
   if (error) {
@@ -128,7 +141,7 @@ export function Dashboard() {
                 onClick={() => setShowHistoryModal(true)}
                 className="flex flex-col items-center px-3 sm:px-4 py-1.5 rounded-lg text-xs sm:text-sm font-medium bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 hover:bg-blue-200 dark:hover:bg-blue-800 transition-colors cursor-pointer"
               >
-                <span className="font-semibold">{data.length.toLocaleString()} Complaints</span>
+                <span className="font-semibold">{metrics.total.toLocaleString()} Complaints</span>
                 {latestDate && (
                   <span className="text-[10px] font-normal text-blue-600 dark:text-blue-300 opacity-80">
                     {new Date(latestDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} · weekly
@@ -149,9 +162,9 @@ export function Dashboard() {
             <input
               type="text"
               value={searchId}
-              onChange={(e) => { setSearchId(e.target.value); setSearchError(null); }}
-              placeholder="Complaint ID (e.g. 17918037)"
-              className="flex-1 max-w-xs px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              onChange={(e) => setSearchId(e.target.value)}
+              placeholder='Complaint ID or text (e.g. 17918037, "seed phrase")'
+              className="flex-1 max-w-md px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             />
             <button
               type="submit"
@@ -167,12 +180,30 @@ export function Dashboard() {
       </div>
 
       <main className="max-w-7xl mx-auto px-2 py-4 sm:px-6 sm:py-6 lg:px-8">
+        {view.q && (
+          <SearchResults query={view.q} onClose={() => setView({ q: '' })} />
+        )}
+
         {/* Filters */}
         <Filters
           filters={filters}
           setFilters={setFilters}
-          companies={companies}
-          issues={issues}
+          options={filterOptions}
+          actions={
+            <SavedViews
+              views={savedViews.views}
+              defaultViewId={savedViews.defaultViewId}
+              onApply={saved => {
+                setView({ filters: saved.filters });
+                setPanels({ ...DEFAULT_PANELS, ...saved.panels });
+              }}
+              onSave={name => savedViews.saveView({ name, filters, panels })}
+              onDelete={savedViews.deleteView}
+              onSetDefault={savedViews.setDefaultView}
+              onImport={savedViews.importFromJson}
+              onExport={savedViews.exportToJson}
+            />
+          }
         />
 
         {loading ? (
@@ -183,7 +214,7 @@ export function Dashboard() {
         ) : (
           <>
             {/* Metric Cards */}
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+            <div className={`grid grid-cols-1 md:grid-cols-2 ${hasLossData ? 'lg:grid-cols-5' : 'lg:grid-cols-4'} gap-4 mb-6`}>
               <MetricCard
                 title="Total Complaints"
                 value={metrics.total.toLocaleString()}
@@ -202,9 +233,18 @@ export function Dashboard() {
               />
               <MetricCard
                 title="With Narratives"
-                value={narrativeData.length.toLocaleString()}
+                value={narrativeCount.toLocaleString()}
                 subtitle="Consumer descriptions available"
               />
+              {hasLossData && (
+                <MetricCard
+                  title="Claimed Losses"
+                  value={formatUsd(metrics.claimedLosses)}
+                  subtitle={latestMonth
+                    ? `${metrics.lossComplaints.toLocaleString()} complaints · ${latestMonth.label}: ${formatUsd(latestMonth.claimedLosses)}`
+                    : `Across ${metrics.lossComplaints.toLocaleString()} complaints`}
+                />
+              )}
             </div>
 
             {/* Hero: BTC Price Correlation (full width) */}
@@ -215,20 +255,37 @@ export function Dashboard() {
             {/* Row 1: State Heatmap + Issue Insights (equal height) */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
               <StateHeatmap
-                data={data}
-                selectedState={filters.state}
+                counts={stateCounts}
+                selectedStates={selectedStates}
                 onStateClick={handleStateClick}
               />
-              <IssueInsights data={data} />
+              <IssueInsights
+                data={data}
+                patterns={issuePatterns}
+                narrativeCount={narrativeCount}
+                loading={detailsLoading}
+                selectedPatternId={view.pattern}
+                onSelectPattern={pattern => setView({ pattern })}
+                labelReview={labelReview}
+              />
             </div>
 
             {/* Row 2: Regulatory Timeline */}
             <div className="mb-6">
-              <RegulatoryTimeline />
+              <RegulatoryTimeline
+                expanded={panels.timeline}
+                onExpandedChange={timeline => setPanels(prev => ({ ...prev, timeline }))}
+              />
             </div>
 
             {/* Row 3: Company Comparison */}
-            <CompanyComparison data={companyData} rawData={data} />
+            <CompanyComparison
+              data={companyDetails}
+              showLosses={hasLossData}
+              expanded={panels.companies}
+              onExpandedChange={companies => setPanels(prev => ({ ...prev, companies }))}
+              labelReview={labelReview}
+            />
 
             {/* Footer */}
             <div className="mt-8 text-center text-sm text-gray-500 dark:text-gray-400">
@@ -255,7 +312,7 @@ export function Dashboard() {
                 SEC, DOJ, CFTC
               </p>
               <p className="mt-1 text-xs">
-                Data refreshes weekly • Covers Coinbase, Block, Robinhood, Kraken, Gemini & more
+                Data refreshes weekly • Covers {getTrackedCompanyNames().slice(0, 5).join(', ')} & more
               </p>
               <p className="mt-2 text-xs font-medium">
                 Built by Rio
@@ -284,6 +341,14 @@ export function Dashboard() {
               </button>
             </div>
             <div className="flex-1 overflow-y-auto p-4">
+              <DatasetChangelog
+                onSelectComplaint={(id) => {
+                  setShowHistoryModal(false);
+                  setHistoryExpanded(false);
+                  setSearchId(id);
+                  setView({ complaint: id });
+                }}
+              />
               <div className="space-y-1">
                 {(historyExpanded ? weeklyHistory : weeklyHistory.slice(0, 20)).map(([week, count]) => {
                   const maxCount = Math.max(...weeklyHistory.map(([, c]) => c));
@@ -317,7 +382,7 @@ export function Dashboard() {
             </div>
             <div className="p-4 border-t dark:border-gray-700">
               <p className="text-xs text-gray-500 dark:text-gray-400 text-center">
-                Total: {data.length.toLocaleString()} complaints
+                Total: {metrics.total.toLocaleString()} complaints
               </p>
             </div>
           </div>
@@ -326,7 +391,7 @@ export function Dashboard() {
 
       {/* Searched Complaint Modal */}
       {searchedComplaint && (
-        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={() => setSearchedComplaint(null)}>
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={closeComplaint}>
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto" onClick={e => e.stopPropagation()}>
             <div className="p-4 border-b dark:border-gray-700 flex justify-between items-start sticky top-0 bg-white dark:bg-gray-800">
               <div>
@@ -338,7 +403,7 @@ export function Dashboard() {
                 </p>
               </div>
               <button
-                onClick={() => setSearchedComplaint(null)}
+                onClick={closeComplaint}
                 className="p-1 hover:bg-gray-100 dark:hover:bg-gray-700 rounded"
               >
                 <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -373,18 +438,29 @@ export function Dashboard() {
                   <p className="text-sm font-medium text-gray-900 dark:text-white">{searchedComplaint.timely || 'N/A'}</p>
                 </div>
               </div>
-              {searchedComplaint.complaint_what_happened && (
+              {/* AI category, with accept/override */}
+              <LabelReview
+                key={searchedComplaint.complaint_id}
+                complaint={searchedComplaint}
+                overrides={labelReview.overrides}
+                onReview={labelReview.reviewLabel}
+                onExport={labelReview.exportToJson}
+              />
+              {(searchedNarrative || narrativeLoading) && (
                 <div>
-                  <p className="text-xs text-gray-500 dark:text-gray-400 uppercase mb-1">Consumer Narrative</p>
+                  <div className="flex items-center gap-2 mb-1">
+                    <p className="text-xs text-gray-500 dark:text-gray-400 uppercase">Consumer Narrative</p>
+                    <RedactionBadge types={searchedComplaint.redacted} />
+                  </div>
                   <p className="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap bg-gray-50 dark:bg-gray-700/50 p-3 rounded-lg max-h-64 overflow-y-auto">
-                    {searchedComplaint.complaint_what_happened}
+                    {narrativeLoading ? 'Loading narrative...' : <RedactedNarrative text={searchedNarrative} />}
                   </p>
                 </div>
               )}
             </div>
             <div className="p-4 border-t dark:border-gray-700 flex justify-end">
               <button
-                onClick={() => setSearchedComplaint(null)}
+                onClick={closeComplaint}
                 className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
               >
                 Close
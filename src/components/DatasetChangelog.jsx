@@ -0,0 +1,89 @@
+import { useChangelog } from '../hooks/useChangelog';
+
+const MAX_LISTED_IDS = 12;
+
+function formatRunDate(dateStr) {
+  return new Date(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+// Colored +new / updated / removed counts for a changelog run
+function RunCounts({ run }) {
+  return (
+    <div className="flex flex-wrap gap-1.5">
+      <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-emerald-100 dark:bg-emerald-900/40 text-emerald-800 dark:text-emerald-200">
+        +{run.newIds.length.toLocaleString()} new
+      </span>
+      {run.updatedIds.length > 0 && (
+        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-blue-100 dark:bg-blue-900/40 text-blue-800 dark:text-blue-200">
+          {run.updatedIds.length.toLocaleString()} updated
+        </span>
+      )}
+      {run.removedIds.length > 0 && (
+        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-200">
+          {run.removedIds.length.toLocaleString()} removed
+        </span>
+      )}
+    </div>
+  );
+}
+
+// "What changed this week" for the Weekly Complaint History modal: the latest
+// refresh from public/data/changelog.json, plus counts for earlier ones.
+// Tapping a new complaint ID opens it.
+export function DatasetChangelog({ onSelectComplaint }) {
+  const { runs, loading } = useChangelog();
+  if (loading || runs.length === 0) return null;
+
+  const [latest, ...earlier] = runs;
+
+  return (
+    <div className="mb-4 rounded-lg border border-gray-200 dark:border-gray-700 p-3 space-y-2">
+      <div className="flex justify-between items-baseline">
+        <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">What changed this week</div>
+        <div className="text-xs text-gray-500 dark:text-gray-400">{formatRunDate(latest.generatedAt)}</div>
+      </div>
+      <RunCounts run={latest} />
+
+      {latest.newCompanies.length > 0 && (
+        <div className="text-xs text-gray-700 dark:text-gray-300">
+          <span className="font-medium">New companies:</span> {latest.newCompanies.join(', ')}
+        </div>
+      )}
+      {latest.newIssues.length > 0 && (
+        <div className="text-xs text-gray-700 dark:text-gray-300">
+          <span className="font-medium">New issues:</span> {latest.newIssues.join(', ')}
+        </div>
+      )}
+
+      {latest.newIds.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {latest.newIds.slice(0, MAX_LISTED_IDS).map(id => (
+            <button
+              key={id}
+              onClick={() => onSelectComplaint(id)}
+              className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+            >
+              #{id}
+            </button>
+          ))}
+          {latest.newIds.length > MAX_LISTED_IDS && (
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              and {(latest.newIds.length - MAX_LISTED_IDS).toLocaleString()} more
+            </span>
+          )}
+        </div>
+      )}
+
+      {earlier.length > 0 && (
+        <div className="pt-2 border-t border-gray-100 dark:border-gray-700 space-y-1">
+          {earlier.map(run => (
+            <div key={run.generatedAt} className="flex items-center justify-between gap-2">
+              <span className="text-xs text-gray-600 dark:text-gray-400">{formatRunDate(run.generatedAt)}</span>
+              <RunCounts run={run} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
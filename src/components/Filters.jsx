@@ -1,5 +1,8 @@
 import { useState } from 'react';
 import { CalendarPicker } from './CalendarPicker';
+import { getCompanyDisplayName } from '../utils/companyUniverse';
+import { ISSUE_CATEGORY_LABELS, CLASSIFICATION_SOURCE_LABELS } from '../utils/classificationLabels';
+import { normalizeFieldFilter, setFilterValue } from '../utils/filterComplaints';
 
 const DATE_RANGES = [
   { label: 'All Time', value: 'all' },
@@ -9,6 +12,20 @@ const DATE_RANGES = [
   { label: 'Custom', value: 'custom' },
 ];
 
+// Multi-select fields, in filter bar order (see FILTER_FIELDS)
+const FIELD_CONTROLS = [
+  { field: 'company', label: 'Company', format: getCompanyDisplayName },
+  { field: 'issue', label: 'Issue' },
+  { field: 'sub_product', label: 'Sub-product' },
+  { field: 'state', label: 'State' },
+  { field: 'category', label: 'AI category', format: id => ISSUE_CATEGORY_LABELS[id] || id },
+  { field: 'source', label: 'Source', format: id => CLASSIFICATION_SOURCE_LABELS[id] || id },
+  { field: 'company_response', label: 'Response' },
+  { field: 'timely', label: 'Timely' },
+];
+
+const truncate = (label) => (label.length > 30 ? `${label.substring(0, 30)}...` : label);
+
 function getDateFrom(range) {
   if (range === 'all') return undefined;
   const now = new Date();
@@ -17,8 +34,16 @@ function getDateFrom(range) {
   return now.toISOString().slice(0, 10);
 }
 
-export function Filters({ filters, setFilters, companies, issues }) {
-  const [rangeMode, setRangeMode] = useState('all');
+export function Filters({ filters, setFilters, options = {}, actions }) {
+  const [selectedRange, setRangeMode] = useState('all');
+  // Dates can also arrive from the URL (shared links, back/forward), so
+  // don't show a preset that no longer matches them
+  const hasDates = Boolean(filters.dateFrom || filters.dateTo);
+  const rangeMode = hasDates
+    ? (selectedRange === 'all' ? 'custom' : selectedRange)
+    : (selectedRange === 'custom' ? 'custom' : 'all');
+  // Whether picking a value includes or excludes it
+  const [mode, setMode] = useState('include');
 
   const handleChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
@@ -31,36 +56,60 @@ export function Filters({ filters, setFilters, companies, issues }) {
     setFilters(prev => ({ ...prev, dateFrom, dateTo: undefined }));
   };
 
-  const activeFiltersCount = Object.values(filters).filter(v => v && v !== 'all').length;
+  const handleValue = (field, value, valueMode) => {
+    setFilters(prev => setFilterValue(prev, field, value, valueMode));
+  };
+
+  // One chip per included or excluded value
+  const chips = FIELD_CONTROLS.flatMap(({ field, label, format }) => {
+    const { include, exclude } = normalizeFieldFilter(filters[field]);
+    return [
+      ...include.map(value => ({ field, label, value, text: format ? format(value) : value, excluded: false })),
+      ...exclude.map(value => ({ field, label, value, text: format ? format(value) : value, excluded: true })),
+    ];
+  });
+
+  const activeFiltersCount = chips.length + (filters.dateFrom ? 1 : 0) + (filters.dateTo ? 1 : 0);
 
   return (
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow mb-4 sm:mb-6">
       <div className="flex flex-wrap items-center gap-2 px-3 py-2.5 sm:px-4 sm:py-3">
-        <select
-          value={filters.company || 'all'}
-          onChange={e => handleChange('company', e.target.value)}
-          className="flex-1 min-w-[140px] rounded-md border-gray-300 dark:border-gray-600 shadow-sm focus:border-blue-500 focus:ring-blue-500 text-xs sm:text-sm py-1.5 px-2 border bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-        >
-          <option value="all">All Companies</option>
-          {companies.map(company => (
-            <option key={company} value={company}>
-              {company.length > 30 ? `${company.substring(0, 30)}...` : company}
-            </option>
-          ))}
-        </select>
-
-        <select
-          value={filters.issue || 'all'}
-          onChange={e => handleChange('issue', e.target.value)}
-          className="flex-1 min-w-[140px] rounded-md border-gray-300 dark:border-gray-600 shadow-sm focus:border-blue-500 focus:ring-blue-500 text-xs sm:text-sm py-1.5 px-2 border bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-        >
-          <option value="all">All Issues</option>
-          {issues.map(issue => (
-            <option key={issue} value={issue}>
-              {issue.length > 30 ? `${issue.substring(0, 30)}...` : issue}
-            </option>
+        <div className="flex items-center rounded-md border border-gray-300 dark:border-gray-600 overflow-hidden">
+          {['include', 'exclude'].map(m => (
+            <button
+              key={m}
+              onClick={() => setMode(m)}
+              className={`px-2.5 py-1.5 text-xs sm:text-sm font-medium transition-colors ${
+                mode === m
+                  ? m === 'include' ? 'bg-blue-600 text-white' : 'bg-red-600 text-white'
+                  : 'bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600'
+              }`}
+            >
+              {m === 'include' ? 'Include' : 'Exclude'}
+            </button>
           ))}
-        </select>
+        </div>
+
+        {FIELD_CONTROLS.map(({ field, label, format }) => {
+          const { include, exclude } = normalizeFieldFilter(filters[field]);
+          const available = (options[field] || []).filter(v => !include.includes(v) && !exclude.includes(v));
+          return (
+            <select
+              key={field}
+              value=""
+              onChange={e => e.target.value && handleValue(field, e.target.value, mode)}
+              disabled={available.length === 0}
+              className="flex-1 min-w-[120px] rounded-md border-gray-300 dark:border-gray-600 shadow-sm focus:border-blue-500 focus:ring-blue-500 text-xs sm:text-sm py-1.5 px-2 border bg-white dark:bg-gray-700 text-gray-900 dark:text-white disabled:opacity-50"
+            >
+              <option value="">{mode === 'include' ? '+' : '−'} {label}</option>
+              {available.map(value => (
+                <option key={value} value={value}>
+                  {truncate(format ? format(value) : value)}
+                </option>
+              ))}
+            </select>
+          );
+        })}
 
         <div className="flex items-center rounded-md border border-gray-300 dark:border-gray-600 overflow-hidden">
           {DATE_RANGES.map(r => (
@@ -95,18 +144,6 @@ export function Filters({ filters, setFilters, companies, issues }) {
           </>
         )}
 
-        {filters.state && (
-          <span className="flex items-center gap-1 text-xs sm:text-sm text-gray-600 dark:text-gray-400 bg-blue-50 dark:bg-blue-900/30 px-2.5 py-1.5 rounded-md">
-            <span className="font-medium text-blue-600 dark:text-blue-400">{filters.state}</span>
-            <button
-              onClick={() => handleChange('state', null)}
-              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 ml-0.5"
-            >
-              ✕
-            </button>
-          </span>
-        )}
-
         {activeFiltersCount > 0 && (
           <button
             onClick={() => { setFilters({}); setRangeMode('all'); }}
@@ -115,7 +152,39 @@ export function Filters({ filters, setFilters, companies, issues }) {
             Reset ({activeFiltersCount})
           </button>
         )}
+
+        {actions && <div className="ml-auto">{actions}</div>}
       </div>
+
+      {chips.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1.5 px-3 pb-2.5 sm:px-4 sm:pb-3">
+          {chips.map(chip => (
+            <span
+              key={`${chip.field}:${chip.value}`}
+              className={`flex items-center gap-1 text-xs sm:text-sm px-2.5 py-1 rounded-md ${
+                chip.excluded
+                  ? 'bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+                  : 'bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300'
+              }`}
+            >
+              <button
+                onClick={() => handleValue(chip.field, chip.value, chip.excluded ? 'include' : 'exclude')}
+                title={chip.excluded ? 'Switch to include' : 'Switch to exclude'}
+                className="flex items-center gap-1"
+              >
+                <span className="text-gray-500 dark:text-gray-400">{chip.label}{chip.excluded ? ' ≠' : ':'}</span>
+                <span className={`font-medium ${chip.excluded ? 'line-through' : ''}`}>{truncate(chip.text)}</span>
+              </button>
+              <button
+                onClick={() => handleValue(chip.field, chip.value, null)}
+                className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 ml-0.5"
+              >
+                ✕
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
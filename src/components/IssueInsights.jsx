@@ -1,7 +1,15 @@
 import { useMemo, useState } from 'react';
 import { format, parseISO } from 'date-fns';
-import { getComplaintsWithNarratives } from '../utils/textAnalysis';
-import aiClassifications from '../data/classifications.json';
+import { getNarrativeLength } from '../utils/textAnalysis';
+import { ISSUE_CATEGORY_LABELS, SCAM_TYPE_LABELS } from '../utils/classificationLabels';
+import { useNarrative } from '../hooks/useNarrative';
+import issueKeywords from '../data/issuePatterns.json';
+import { NarrativeCard } from './NarrativeCard';
+import { ClassificationBadges } from './ClassificationBadges';
+import { LabelReview } from './LabelReview';
+import { ClaimedLossBadge } from './ClaimedLossBadge';
+import { RedactedNarrative, RedactionBadge } from './RedactedNarrative';
+import { ScamTypeBreakdown } from './ScamTypeBreakdown';
 
 // SVG Icon components
 const LockIcon = ({ className }) => (
@@ -56,23 +64,13 @@ const matchesWholeWord = (text, keyword) => {
 };
 
 // Issue patterns with descriptions for QC analysts
-// Keywords are ordered by specificity - more specific phrases first
+// Keywords live in issuePatterns.json (shared with the data scripts) and are
+// ordered by specificity - more specific phrases first
 const ISSUE_PATTERNS = [
   {
     id: 'locked_account',
-    label: 'Account Access',
-    keywords: [
-      'account locked', 'account frozen', 'account suspended', 'account closure',
-      'locked me out', 'unable to access', "can't access my account",
-      'locked', 'locked out', 'lock',
-      'suspended', 'suspension',
-      'frozen', 'freeze',
-      'disabled', 'deactivated',
-      'restricted', 'restriction',
-      'blocked', 'closed my account',
-      'cant login', 'cannot login', 'login issue',
-      'access denied', 'no access'
-    ],
+    label: ISSUE_CATEGORY_LABELS.locked_account,
+    keywords: issueKeywords.locked_account,
     Icon: LockIcon,
     actionable: 'Review account verification and unlock procedures',
     color: 'blue',
@@ -81,18 +79,8 @@ const ISSUE_PATTERNS = [
   },
   {
     id: 'verification',
-    label: 'Verification Issues',
-    keywords: [
-      'identity verification', 'verification process', 'upload documents', 'pending verification',
-      'verification', 'verify', 'verified',
-      'kyc', 'know your customer',
-      'identity', 'id verification',
-      'documents', 'document', 'documentation',
-      'selfie', 'photo id', 'drivers license', 'passport',
-      'proof of address', 'utility bill',
-      'ssn', 'social security',
-      'rejected', 'failed verification'
-    ],
+    label: ISSUE_CATEGORY_LABELS.verification,
+    keywords: issueKeywords.verification,
     Icon: ClipboardIcon,
     actionable: 'Streamline KYC process, improve document requirements clarity',
     color: 'purple',
@@ -101,18 +89,8 @@ const ISSUE_PATTERNS = [
   },
   {
     id: 'withdrawal',
-    label: 'Withdrawal Problems',
-    keywords: [
-      "can't withdraw", 'withdrawal pending', 'funds stuck', 'money stuck',
-      "won't let me withdraw",
-      'withdraw', 'withdrawal', 'withdrawing',
-      'transfer out', 'send out',
-      'cash out', 'cashing out',
-      'ach', 'wire transfer', 'bank transfer',
-      'pending withdrawal', 'stuck', 'processing',
-      'cant get my money', 'wont release',
-      'holding my funds', 'held hostage'
-    ],
+    label: ISSUE_CATEGORY_LABELS.withdrawal,
+    keywords: issueKeywords.withdrawal,
     Icon: ArrowUpTrayIcon,
     actionable: 'Review withdrawal processing times and limits',
     color: 'emerald',
@@ -121,18 +99,8 @@ const ISSUE_PATTERNS = [
   },
   {
     id: 'customer_service',
-    label: 'Support Response',
-    keywords: [
-      'customer service', 'no help', 'no reply', 'unresponsive',
-      'support', 'customer support',
-      'no response', 'not responding', 'never responded',
-      'waiting', 'waited', 'still waiting',
-      'ignored', 'ignoring',
-      'ticket', 'case number', 'reference number',
-      'cant reach', 'no one', 'nobody',
-      'unhelpful', 'useless', 'runaround',
-      'automated', 'bot', 'generic response'
-    ],
+    label: ISSUE_CATEGORY_LABELS.customer_service,
+    keywords: issueKeywords.customer_service,
     Icon: ChatBubbleIcon,
     actionable: 'Improve response SLAs and ticket routing',
     color: 'amber',
@@ -141,20 +109,8 @@ const ISSUE_PATTERNS = [
   },
   {
     id: 'fraud',
-    label: 'Fraud/Scam Reports',
-    keywords: [
-      'unauthorized transaction', 'unauthorized access', 'money stolen', 'account hacked',
-      'scam', 'scammed', 'scammer',
-      'fraud', 'fraudulent', 'defrauded',
-      'stolen', 'stole', 'stealing', 'theft',
-      'hacked', 'hack', 'hacker', 'hacking',
-      'unauthorized', 'unauthorised',
-      'phishing', 'phished',
-      'fake', 'impersonator', 'impersonation',
-      'identity theft', 'criminals', 'criminal',
-      'compromised', 'breached',
-      'someone accessed', 'not me', 'didnt authorize'
-    ],
+    label: ISSUE_CATEGORY_LABELS.fraud,
+    keywords: issueKeywords.fraud,
     Icon: ExclamationTriangleIcon,
     actionable: 'Enhance fraud detection and recovery procedures',
     color: 'red',
@@ -163,18 +119,8 @@ const ISSUE_PATTERNS = [
   },
   {
     id: 'fees',
-    label: 'Fee Disputes',
-    keywords: [
-      'unexpected fee', 'hidden charge', 'excessive fee', 'fee charged',
-      'fee', 'fees',
-      'charge', 'charged', 'charges',
-      'cost', 'costs',
-      'expensive', 'overcharged',
-      'hidden fees', 'undisclosed',
-      'commission', 'spread',
-      'converted', 'conversion fee',
-      'unexpected charge', 'surprise fee'
-    ],
+    label: ISSUE_CATEGORY_LABELS.fees,
+    keywords: issueKeywords.fees,
     Icon: CurrencyDollarIcon,
     actionable: 'Improve fee transparency and disclosure',
     color: 'teal',
@@ -183,8 +129,8 @@ const ISSUE_PATTERNS = [
   },
   {
     id: 'other',
-    label: 'Other Issues',
-    keywords: [],
+    label: ISSUE_CATEGORY_LABELS.other,
+    keywords: issueKeywords.other,
     Icon: DocumentTextIcon,
     actionable: 'Review for emerging issue patterns',
     color: 'gray',
@@ -193,113 +139,40 @@ const ISSUE_PATTERNS = [
   },
 ];
 
-export function IssueInsights({ data, onFilterByKeyword }) {
-  const [selectedPattern, setSelectedPattern] = useState(null);
-  const [isModalOpen, setIsModalOpen] = useState(false);
+export function IssueInsights({ data, patterns, narrativeCount, loading, selectedPatternId, onSelectPattern, onFilterByKeyword, labelReview }) {
   const [showAllModal, setShowAllModal] = useState(false);
   const [selectedAllComplaint, setSelectedAllComplaint] = useState(null);
   const [visibleCount, setVisibleCount] = useState(50); // Pagination for View All modal
+  const [scamTypeFilter, setScamTypeFilter] = useState(null); // Fraud drill-down only
+  const { narrative: selectedNarrative, loading: narrativeLoading } = useNarrative(selectedAllComplaint);
 
-  // Analyze complaints for each pattern with 30-day trend (exclusive categorization)
+  // Categorization and trends come from the complaints worker
+  // (analyzeIssuePatterns); attach labels, icons and keywords for display
   const patternAnalysis = useMemo(() => {
-    const narrativeComplaints = data.filter(c => c.complaint_what_happened?.length > 50);
-    const total = narrativeComplaints.length;
-
-    if (total === 0) return [];
-
-    // Calculate date thresholds for trend analysis
-    const now = new Date();
-    const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    const sixtyDaysAgo = new Date(now.getTime() - 60 * 24 * 60 * 60 * 1000);
-
-    // Pre-compile regex patterns for whole-word matching (once per memo)
-    const compiledPatterns = ISSUE_PATTERNS.map(p => ({
-      ...p,
-      regexes: p.keywords.map(kw => new RegExp('\\b' + escapeRegex(kw) + '\\b', 'i'))
-    }));
-
-    // Step 1: Assign each complaint to exactly ONE category (highest keyword match count)
-    const categorizedComplaints = new Map();
-    ISSUE_PATTERNS.forEach(p => categorizedComplaints.set(p.id, []));
-
-    narrativeComplaints.forEach(complaint => {
-      const id = String(complaint.complaint_id);
-      const aiCategory = aiClassifications[id];
-
-      // Use AI classification if available and valid
-      if (aiCategory && categorizedComplaints.has(aiCategory)) {
-        categorizedComplaints.get(aiCategory).push(complaint);
-        return;
-      }
-
-      // Fallback to keyword matching
-      const text = complaint.complaint_what_happened;
-      let bestPatternId = 'other';
-      let bestScore = 0;
-
-      compiledPatterns.forEach(pattern => {
-        if (pattern.id === 'other') return;
-        const score = pattern.regexes.filter(rx => rx.test(text)).length;
-        if (score > bestScore) {
-          bestScore = score;
-          bestPatternId = pattern.id;
-        }
-      });
-
-      categorizedComplaints.get(bestPatternId).push(complaint);
-    });
-
-    // Step 2: Build pattern analysis from categorized complaints
-    return ISSUE_PATTERNS.map(pattern => {
-      const matches = categorizedComplaints.get(pattern.id) || [];
-
-      // Calculate trend: last 30 days vs previous 30 days
-      const recentMatches = matches.filter(c => {
-        const date = new Date(c.date_received);
-        return date >= thirtyDaysAgo;
-      }).length;
-
-      const previousMatches = matches.filter(c => {
-        const date = new Date(c.date_received);
-        return date >= sixtyDaysAgo && date < thirtyDaysAgo;
-      }).length;
-
-      let trendPercent = 0;
-      let trend = 'neutral';
-      if (previousMatches > 0) {
-        trendPercent = Math.round(((recentMatches - previousMatches) / previousMatches) * 100);
-        trend = trendPercent > 0 ? 'up' : trendPercent < 0 ? 'down' : 'neutral';
-      } else if (recentMatches > 0) {
-        trend = 'up';
-        trendPercent = 100;
-      }
-
-      // Sort matches by date, newest first
-      const sortedMatches = [...matches].sort((a, b) => {
-        const dateA = a.date_received || '';
-        const dateB = b.date_received || '';
-        return dateB.localeCompare(dateA);
-      });
-
-      return {
-        ...pattern,
-        count: matches.length,
-        trend,
-        trendPercent: Math.abs(trendPercent),
-        complaints: sortedMatches,
-      };
-    }).sort((a, b) => b.count - a.count);
-  }, [data]);
-
-  // Get total with narratives
-  const narrativeCount = useMemo(() => getComplaintsWithNarratives(data).length, [data]);
+    const metaById = new Map(ISSUE_PATTERNS.map(p => [p.id, p]));
+    return (patterns || [])
+      .filter(p => metaById.has(p.id))
+      .map(p => ({ ...metaById.get(p.id), ...p }));
+  }, [patterns]);
+
+  // The open pattern is owned by the caller (it's part of the URL)
+  const selectedPattern = patternAnalysis.find(p => p.id === selectedPatternId) || null;
 
   // Handle pattern click
   const handlePatternClick = (pattern) => {
-    setSelectedPattern(pattern);
-    setIsModalOpen(true);
+    onSelectPattern(pattern.id);
+  };
+
+  const closePattern = () => {
+    setScamTypeFilter(null);
+    onSelectPattern(null);
   };
 
+  // Drill-down list, narrowed to one scam type when fraud is filtered
+  const drillDownComplaints = selectedPattern?.scamTypes && scamTypeFilter
+    ? selectedPattern.complaints.filter(c => (c.classification?.scam_type || 'untyped') === scamTypeFilter)
+    : selectedPattern?.complaints || [];
+
   if (data.length === 0) {
     return (
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
@@ -307,7 +180,7 @@ export function IssueInsights({ data, onFilterByKeyword }) {
           Issue Insights
         </h3>
         <p className="text-gray-500 dark:text-gray-400 text-center py-8">
-          No data available
+          {loading ? 'Loading complaint narratives...' : 'No data available'}
         </p>
       </div>
     );
@@ -373,6 +246,21 @@ export function IssueInsights({ data, onFilterByKeyword }) {
               />
             </div>
 
+            {/* Multi-label and review hints */}
+            {(pattern.secondaryCount > 0 || pattern.lowConfidenceCount > 0) && (
+              <p className="text-xs text-gray-600 dark:text-gray-400 mb-1">
+                {pattern.secondaryCount > 0 && (
+                  <span>+{pattern.secondaryCount.toLocaleString()} as secondary label</span>
+                )}
+                {pattern.secondaryCount > 0 && pattern.lowConfidenceCount > 0 && ' · '}
+                {pattern.lowConfidenceCount > 0 && (
+                  <span className="text-amber-600 dark:text-amber-400">
+                    ⚠ {pattern.lowConfidenceCount.toLocaleString()} low-confidence
+                  </span>
+                )}
+              </p>
+            )}
+
             {/* Actionable insight - hide on very small screens */}
             <p className="hidden sm:block text-xs text-gray-700 dark:text-gray-300">
               <span className="font-semibold">Action:</span> {pattern.actionable}
@@ -382,7 +270,7 @@ export function IssueInsights({ data, onFilterByKeyword }) {
       </div>
 
       {/* Drill-down Modal */}
-      {isModalOpen && selectedPattern && (
+      {selectedPattern && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
             {/* Modal Header */}
@@ -405,7 +293,7 @@ export function IssueInsights({ data, onFilterByKeyword }) {
                 </p>
               </div>
               <button
-                onClick={() => setIsModalOpen(false)}
+                onClick={closePattern}
                 className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
               >
                 <svg className="w-5 h-5 text-gray-500 dark:text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -416,11 +304,17 @@ export function IssueInsights({ data, onFilterByKeyword }) {
 
             {/* Modal Body - Scrollable List */}
             <div className="flex-1 overflow-y-auto p-4">
-              {selectedPattern.complaints.length === 0 ? (
+              <ScamTypeBreakdown
+                scamTypes={selectedPattern.scamTypes}
+                total={selectedPattern.count}
+                selectedType={scamTypeFilter}
+                onSelectType={setScamTypeFilter}
+              />
+              {drillDownComplaints.length === 0 ? (
                 <p className="text-center text-gray-500 dark:text-gray-400 py-8">No complaints found</p>
               ) : (
                 <div className="space-y-3">
-                  {selectedPattern.complaints.map((complaint, index) => (
+                  {drillDownComplaints.map((complaint, index) => (
                     <NarrativeCard
                       key={complaint.complaint_id || index}
                       complaint={complaint}
@@ -435,10 +329,12 @@ export function IssueInsights({ data, onFilterByKeyword }) {
             {/* Modal Footer */}
             <div className="p-4 border-t dark:border-gray-700 flex justify-between items-center">
               <p className="text-xs text-gray-500 dark:text-gray-400">
-                Showing all {selectedPattern.complaints.length} complaints categorized as {selectedPattern.label.toLowerCase()}
+                {drillDownComplaints.length === selectedPattern.complaints.length
+                  ? `Showing all ${selectedPattern.complaints.length} complaints categorized as ${selectedPattern.label.toLowerCase()}`
+                  : `Showing ${drillDownComplaints.length} of ${selectedPattern.complaints.length} complaints (${SCAM_TYPE_LABELS[scamTypeFilter]})`}
               </p>
               <button
-                onClick={() => setIsModalOpen(false)}
+                onClick={closePattern}
                 className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
               >
                 Close
@@ -478,8 +374,7 @@ export function IssueInsights({ data, onFilterByKeyword }) {
                 <p className="text-center text-gray-500 dark:text-gray-400 py-8">No complaints found</p>
               ) : (
                 <div className="space-y-3">
-                  {[...data]
-                    .sort((a, b) => (b.date_received || '').localeCompare(a.date_received || ''))
+                  {data
                     .slice(0, visibleCount)
                     .map((complaint, index) => (
                       <AllComplaintCard
@@ -550,6 +445,17 @@ export function IssueInsights({ data, onFilterByKeyword }) {
                 )}
               </div>
 
+              {/* AI category, with accept/override */}
+              {labelReview && (
+                <LabelReview
+                  key={selectedAllComplaint.complaint_id}
+                  complaint={selectedAllComplaint}
+                  overrides={labelReview.overrides}
+                  onReview={labelReview.reviewLabel}
+                  onExport={labelReview.exportToJson}
+                />
+              )}
+
               {/* Product & Sub-product */}
               <div className="grid grid-cols-2 gap-4">
                 <div>
@@ -595,14 +501,18 @@ export function IssueInsights({ data, onFilterByKeyword }) {
                     Consumer Disputed
                   </span>
                 )}
+                <ClaimedLossBadge loss={selectedAllComplaint.classification?.loss} />
               </div>
 
               {/* Narrative */}
-              {selectedAllComplaint.complaint_what_happened && (
+              {(selectedNarrative || narrativeLoading) && (
                 <div>
-                  <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase mb-2">Consumer Narrative</div>
+                  <div className="flex items-center gap-2 mb-2">
+                    <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Consumer Narrative</div>
+                    <RedactionBadge types={selectedAllComplaint.redacted} />
+                  </div>
                   <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap max-h-64 overflow-y-auto">
-                    {selectedAllComplaint.complaint_what_happened}
+                    {narrativeLoading ? 'Loading narrative...' : <RedactedNarrative text={selectedNarrative} />}
                   </div>
                 </div>
               )}
@@ -643,8 +553,8 @@ function AllComplaintCard({ complaint, index, onViewDetails }) {
     }
   };
 
-  const narrative = complaint.complaint_what_happened || '';
-  const hasNarrative = narrative.length > 0;
+  const hasNarrative = getNarrativeLength(complaint) > 0;
+  const { narrative, loading: narrativeLoading } = useNarrative(isExpanded ? complaint : null);
 
   return (
     <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 border border-gray-200 dark:border-gray-600">
@@ -680,6 +590,9 @@ function AllComplaintCard({ complaint, index, onViewDetails }) {
         )}
       </div>
 
+      {/* Category from the classifier, with secondary labels */}
+      <ClassificationBadges classification={complaint.classification} showPrimary />
+
       {/* Response */}
       {complaint.company_response && (
         <div className="flex items-center gap-2 mb-2">
@@ -710,7 +623,7 @@ function AllComplaintCard({ complaint, index, onViewDetails }) {
           {isExpanded && (
             <div className="mt-2 p-3 bg-white dark:bg-gray-800 rounded border border-gray-200 dark:border-gray-600">
               <p className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap">
-                {narrative}
+                {narrativeLoading ? 'Loading narrative...' : <RedactedNarrative text={narrative} />}
               </p>
             </div>
           )}
@@ -732,154 +645,3 @@ function AllComplaintCard({ complaint, index, onViewDetails }) {
     </div>
   );
 }
-
-// Individual complaint card with narrative highlighting
-function NarrativeCard({ complaint, index, keywords }) {
-  const [isExpanded, setIsExpanded] = useState(false);
-
-  const formatDate = (dateStr) => {
-    if (!dateStr) return 'Unknown date';
-    try {
-      return format(parseISO(dateStr), 'MMM d, yyyy');
-    } catch {
-      return dateStr;
-    }
-  };
-
-  // Escape HTML entities to prevent XSS
-  const escapeHtml = (str) => str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-
-  // Highlight matching keywords in narrative
-  const highlightKeywords = (text) => {
-    if (!text || !keywords) return escapeHtml(text);
-
-    const escapedText = escapeHtml(text);
-
-    // Find all whole-word keyword matches and their positions
-    const matches = [];
-    keywords.forEach(keyword => {
-      const regex = new RegExp('\\b' + escapeRegex(keyword) + '\\b', 'gi');
-      let match;
-      while ((match = regex.exec(escapedText)) !== null) {
-        matches.push({ start: match.index, end: match.index + match[0].length });
-      }
-    });
-
-    // Sort by position and merge overlapping
-    matches.sort((a, b) => a.start - b.start);
-
-    if (matches.length === 0) return text;
-
-    // Build highlighted string
-    let result = [];
-    let lastEnd = 0;
-    matches.forEach(match => {
-      if (match.start >= lastEnd) {
-        result.push(escapedText.slice(lastEnd, match.start));
-        result.push(`<mark class="bg-yellow-300 dark:bg-yellow-600 text-gray-900 dark:text-white px-0.5 rounded font-semibold">${escapedText.slice(match.start, match.end)}</mark>`);
-        lastEnd = match.end;
-      }
-    });
-    result.push(escapedText.slice(lastEnd));
-
-    return result.join('');
-  };
-
-  const narrative = complaint.complaint_what_happened || '';
-  const previewLength = 200;
-  const hasMoreContent = narrative.length > previewLength;
-
-  return (
-    <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 border border-gray-200 dark:border-gray-600">
-      {/* Header Row */}
-      <div className="flex flex-wrap items-start justify-between gap-2 mb-2">
-        <div className="flex items-center gap-2">
-          <span className="text-xs font-bold text-gray-500 dark:text-gray-400">
-            #{index + 1}
-          </span>
-          <span className="text-sm font-bold text-gray-900 dark:text-white">
-            {complaint.company || 'Unknown Company'}
-          </span>
-        </div>
-        <div className="flex items-center gap-2 flex-wrap">
-          <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-blue-600 text-white">
-            {complaint.state || 'N/A'}
-          </span>
-          <span className="text-xs font-medium text-gray-700 dark:text-gray-300">
-            {formatDate(complaint.date_received)}
-          </span>
-        </div>
-      </div>
-
-      {/* Issue & Sub-issue */}
-      <div className="flex flex-wrap gap-2 mb-2">
-        {complaint.issue && (
-          <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-purple-600 text-white">
-            {complaint.issue}
-          </span>
-        )}
-        {complaint.sub_issue && (
-          <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-gray-600 text-white">
-            {complaint.sub_issue}
-          </span>
-        )}
-      </div>
-
-      {/* Company Response */}
-      {complaint.company_response && (
-        <div className="flex items-center gap-2 mb-3">
-          <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-bold ${
-            complaint.company_response.toLowerCase().includes('relief')
-              ? 'bg-emerald-600 text-white'
-              : complaint.company_response.toLowerCase().includes('closed')
-              ? 'bg-slate-600 text-white'
-              : 'bg-amber-500 text-white'
-          }`}>
-            {complaint.company_response}
-          </span>
-          {complaint.timely === 'Yes' && (
-            <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-green-600 text-white">
-              Timely
-            </span>
-          )}
-          {complaint.consumer_disputed === 'Yes' && (
-            <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-red-600 text-white">
-              Disputed
-            </span>
-          )}
-        </div>
-      )}
-
-      {/* Narrative with keyword highlighting */}
-      <div className="mt-2 p-3 bg-white dark:bg-gray-800 rounded border border-gray-200 dark:border-gray-600">
-        <p
-          className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap"
-          dangerouslySetInnerHTML={{
-            __html: highlightKeywords(
-              isExpanded ? narrative : narrative.slice(0, previewLength) + (hasMoreContent ? '...' : '')
-            )
-          }}
-        />
-        {hasMoreContent && (
-          <button
-            onClick={() => setIsExpanded(!isExpanded)}
-            className="mt-2 text-sm font-semibold text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
-          >
-            {isExpanded ? 'Show less' : 'Read full narrative →'}
-          </button>
-        )}
-      </div>
-
-      {/* Complaint ID */}
-      {complaint.complaint_id && (
-        <p className="mt-2 text-xs text-gray-400 dark:text-gray-500">
-          ID: {complaint.complaint_id}
-        </p>
-      )}
-    </div>
-  );
-}
@@ -0,0 +1,193 @@
+import { useState } from 'react';
+import {
+  CLASSIFICATION_SOURCE_LABELS,
+  ISSUE_CATEGORY_LABELS,
+} from '../utils/classificationLabels';
+
+const MAX_SECONDARY = 2;
+
+const labelFor = (id) => ISSUE_CATEGORY_LABELS[id] || id;
+
+// Category review for the complaint detail modals: accept the classifier's
+// label or override it. Reviews stay on this device (`overrides`, from
+// useLabelOverrides) until exported as labelOverrides.json and committed.
+export function LabelReview({ complaint, overrides, onReview, onExport }) {
+  const [draft, setDraft] = useState(null);
+  const pendingOverride = overrides[String(complaint.complaint_id)];
+  const pendingCount = Object.keys(overrides).length;
+
+  const classification = complaint.classification;
+  if (!complaint.issue_category) return null;
+
+  const current = pendingOverride || classification || { primary: complaint.issue_category, secondary: [] };
+  // The classifier's own label, even when an override is in effect
+  const modelLabel = classification?.reviewed ? classification.original : classification?.primary;
+
+  let status;
+  if (pendingOverride) {
+    status = 'Reviewed on this device (not exported)';
+  } else if (classification?.reviewed) {
+    status = CLASSIFICATION_SOURCE_LABELS.reviewed;
+  } else {
+    status = CLASSIFICATION_SOURCE_LABELS[complaint.classification_source] || 'Unreviewed';
+    if (classification?.confidence != null) {
+      status += ` · ${Math.round(classification.confidence * 100)}% confidence`;
+    }
+  }
+
+  const startEditing = () => setDraft({
+    primary: current.primary,
+    secondary: current.secondary || [],
+    note: pendingOverride?.note || '',
+  });
+
+  const toggleSecondary = (id) => setDraft(prev => ({
+    ...prev,
+    secondary: prev.secondary.includes(id)
+      ? prev.secondary.filter(s => s !== id)
+      : [...prev.secondary, id].slice(-MAX_SECONDARY),
+  }));
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    onReview(complaint.complaint_id, draft);
+    setDraft(null);
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([onExport()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'labelOverrides.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="rounded-lg border border-indigo-200 dark:border-indigo-800 p-3">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase mb-1">Category</div>
+          <div className="text-gray-900 dark:text-white font-medium">
+            {labelFor(current.primary)}
+            {current.secondary?.length > 0 && (
+              <span className="text-sm font-normal text-gray-500 dark:text-gray-400">
+                {' '}· also {current.secondary.map(labelFor).join(', ')}
+              </span>
+            )}
+          </div>
+          <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+            {status}
+            {modelLabel && modelLabel !== current.primary && ` · classifier said ${labelFor(modelLabel)}`}
+          </div>
+          {current.rationale && !pendingOverride && (
+            <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 italic">{current.rationale}</div>
+          )}
+          {pendingOverride?.note && (
+            <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 italic">{pendingOverride.note}</div>
+          )}
+        </div>
+        {!draft && (
+          <div className="flex flex-shrink-0 items-center gap-2 text-xs">
+            {!pendingOverride && !classification?.reviewed && (
+              <button
+                onClick={() => onReview(complaint.complaint_id, { primary: current.primary, secondary: current.secondary })}
+                className="px-2 py-1 font-medium rounded-md bg-emerald-600 text-white hover:bg-emerald-700 transition-colors"
+              >
+                Accept
+              </button>
+            )}
+            <button
+              onClick={startEditing}
+              className="px-2 py-1 font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            >
+              Override
+            </button>
+            {pendingOverride && (
+              <button
+                onClick={() => onReview(complaint.complaint_id, null)}
+                className="font-medium text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+              >
+                Undo
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {draft && (
+        <form onSubmit={handleSave} className="mt-3 space-y-2 border-t dark:border-gray-700 pt-3">
+          <label className="block text-xs font-medium text-gray-500 dark:text-gray-400">
+            Primary category
+            <select
+              value={draft.primary}
+              onChange={e => setDraft(prev => ({
+                ...prev,
+                primary: e.target.value,
+                secondary: prev.secondary.filter(s => s !== e.target.value),
+              }))}
+              className="mt-1 block w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              {Object.entries(ISSUE_CATEGORY_LABELS).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <div className="text-xs font-medium text-gray-500 dark:text-gray-400">
+            Also applies (up to {MAX_SECONDARY})
+            <div className="mt-1 flex flex-wrap gap-1.5">
+              {Object.entries(ISSUE_CATEGORY_LABELS)
+                .filter(([id]) => id !== draft.primary)
+                .map(([id, label]) => (
+                  <button
+                    key={id}
+                    type="button"
+                    onClick={() => toggleSecondary(id)}
+                    className={`px-2 py-0.5 rounded font-medium ${
+                      draft.secondary.includes(id)
+                        ? 'bg-indigo-600 text-white'
+                        : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+            </div>
+          </div>
+          <input
+            type="text"
+            value={draft.note}
+            onChange={e => setDraft(prev => ({ ...prev, note: e.target.value }))}
+            placeholder="Note (optional)"
+            className="block w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400"
+          />
+          <div className="flex items-center gap-2 text-sm">
+            <button
+              type="submit"
+              className="px-2.5 py-1 font-medium bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+            >
+              Save review
+            </button>
+            <button
+              type="button"
+              onClick={() => setDraft(null)}
+              className="px-2.5 py-1 font-medium text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-white"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {pendingCount > 0 && (
+        <div className="mt-3 pt-2 border-t dark:border-gray-700 flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+          <span>{pendingCount} unexported review{pendingCount === 1 ? '' : 's'}</span>
+          <button onClick={handleExport} className="font-medium text-blue-600 dark:text-blue-400 hover:text-blue-700">
+            Export labelOverrides.json
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
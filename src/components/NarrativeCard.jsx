@@ -0,0 +1,186 @@
+import { useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import { useNarrative } from '../hooks/useNarrative';
+import { ClassificationBadges } from './ClassificationBadges';
+import { RedactionBadge } from './RedactedNarrative';
+import {
+  REDACTION_MARKER_CLASS,
+  REDACTION_MARKER_TITLE,
+  REDACTION_TOKEN_PATTERN,
+  getRedactionMarkerText,
+} from '../utils/redaction';
+
+// Escape special regex characters in a string
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Individual complaint card with narrative highlighting. Shared by the
+// IssueInsights pattern drill-down and the full-text search results.
+export function NarrativeCard({ complaint, index, keywords }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const formatDate = (dateStr) => {
+    if (!dateStr) return 'Unknown date';
+    try {
+      return format(parseISO(dateStr), 'MMM d, yyyy');
+    } catch {
+      return dateStr;
+    }
+  };
+
+  // Escape HTML entities to prevent XSS
+  const escapeHtml = (str) => str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  // Highlight matching keywords in narrative and mark redacted PII. Matching
+  // runs on the raw text and each segment is escaped as the output is built,
+  // so a term like "amp" can't match inside an entity.
+  const highlightKeywords = (text) => {
+    if (!text) return '';
+
+    // Redaction tokens come first so keywords inside them aren't highlighted
+    const matches = [];
+    for (const match of text.matchAll(REDACTION_TOKEN_PATTERN)) {
+      matches.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        html: `<span class="${REDACTION_MARKER_CLASS}" title="${REDACTION_MARKER_TITLE}">${getRedactionMarkerText(match[1])}</span>`,
+      });
+    }
+
+    // Find all whole-word keyword matches and their positions
+    (keywords || []).forEach(keyword => {
+      // Multi-word keywords and search phrases match across any whitespace
+      const regex = new RegExp('\\b' + escapeRegex(keyword).replace(/\s+/g, '\\s+') + '\\b', 'gi');
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        matches.push({ start: match.index, end: match.index + match[0].length });
+      }
+    });
+
+    // Sort by position and merge overlapping
+    matches.sort((a, b) => a.start - b.start);
+
+    if (matches.length === 0) return escapeHtml(text);
+
+    // Build highlighted string
+    let result = [];
+    let lastEnd = 0;
+    matches.forEach(match => {
+      if (match.start >= lastEnd) {
+        result.push(escapeHtml(text.slice(lastEnd, match.start)));
+        result.push(match.html || `<mark class="bg-yellow-300 dark:bg-yellow-600 text-gray-900 dark:text-white px-0.5 rounded font-semibold">${escapeHtml(text.slice(match.start, match.end))}</mark>`);
+        lastEnd = match.end;
+      }
+    });
+    result.push(escapeHtml(text.slice(lastEnd)));
+
+    return result.join('');
+  };
+
+  const { narrative } = useNarrative(complaint);
+  const previewLength = 200;
+  const hasMoreContent = narrative.length > previewLength;
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 border border-gray-200 dark:border-gray-600">
+      {/* Header Row */}
+      <div className="flex flex-wrap items-start justify-between gap-2 mb-2">
+        <div className="flex items-center gap-2">
+          <span className="text-xs font-bold text-gray-500 dark:text-gray-400">
+            #{index + 1}
+          </span>
+          <span className="text-sm font-bold text-gray-900 dark:text-white">
+            {complaint.company || 'Unknown Company'}
+          </span>
+        </div>
+        <div className="flex items-center gap-2 flex-wrap">
+          <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-blue-600 text-white">
+            {complaint.state || 'N/A'}
+          </span>
+          <span className="text-xs font-medium text-gray-700 dark:text-gray-300">
+            {formatDate(complaint.date_received)}
+          </span>
+        </div>
+      </div>
+
+      {/* Issue & Sub-issue */}
+      <div className="flex flex-wrap gap-2 mb-2">
+        {complaint.issue && (
+          <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-purple-600 text-white">
+            {complaint.issue}
+          </span>
+        )}
+        {complaint.sub_issue && (
+          <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-gray-600 text-white">
+            {complaint.sub_issue}
+          </span>
+        )}
+      </div>
+
+      {/* Secondary labels and low-confidence flag */}
+      <ClassificationBadges classification={complaint.classification} />
+
+      {/* Company Response */}
+      {complaint.company_response && (
+        <div className="flex items-center gap-2 mb-3">
+          <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-bold ${
+            complaint.company_response.toLowerCase().includes('relief')
+              ? 'bg-emerald-600 text-white'
+              : complaint.company_response.toLowerCase().includes('closed')
+              ? 'bg-slate-600 text-white'
+              : 'bg-amber-500 text-white'
+          }`}>
+            {complaint.company_response}
+          </span>
+          {complaint.timely === 'Yes' && (
+            <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-green-600 text-white">
+              Timely
+            </span>
+          )}
+          {complaint.consumer_disputed === 'Yes' && (
+            <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold bg-red-600 text-white">
+              Disputed
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* PII masked before publishing */}
+      {complaint.redacted?.length > 0 && (
+        <div className="mb-2">
+          <RedactionBadge types={complaint.redacted} />
+        </div>
+      )}
+
+      {/* Narrative with keyword highlighting */}
+      <div className="mt-2 p-3 bg-white dark:bg-gray-800 rounded border border-gray-200 dark:border-gray-600">
+        <p
+          className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap"
+          dangerouslySetInnerHTML={{
+            __html: highlightKeywords(
+              isExpanded ? narrative : narrative.slice(0, previewLength) + (hasMoreContent ? '...' : '')
+            )
+          }}
+        />
+        {hasMoreContent && (
+          <button
+            onClick={() => setIsExpanded(!isExpanded)}
+            className="mt-2 text-sm font-semibold text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+          >
+            {isExpanded ? 'Show less' : 'Read full narrative →'}
+          </button>
+        )}
+      </div>
+
+      {/* Complaint ID */}
+      {complaint.complaint_id && (
+        <p className="mt-2 text-xs text-gray-400 dark:text-gray-500">
+          ID: {complaint.complaint_id}
+        </p>
+      )}
+    </div>
+  );
+}
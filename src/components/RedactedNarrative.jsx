@@ -0,0 +1,33 @@
+import {
+  REDACTION_MARKER_CLASS,
+  REDACTION_MARKER_TITLE,
+  REDACTION_TYPE_LABELS,
+  getRedactionMarkerText,
+  splitRedactions,
+} from '../utils/redaction';
+
+// Narrative text with masked PII shown as "redacted" markers instead of the
+// raw `[REDACTED ...]` tokens
+export function RedactedNarrative({ text }) {
+  return splitRedactions(text).map((part, i) => (
+    part.redacted ? (
+      <span key={i} className={REDACTION_MARKER_CLASS} title={REDACTION_MARKER_TITLE}>
+        {getRedactionMarkerText(part.redacted)}
+      </span>
+    ) : part.text
+  ));
+}
+
+// Badge listing the PII types masked in a complaint's narrative
+export function RedactionBadge({ types }) {
+  if (!types || types.length === 0) return null;
+
+  return (
+    <span
+      className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-slate-200 dark:bg-slate-600 text-slate-700 dark:text-slate-200"
+      title={REDACTION_MARKER_TITLE}
+    >
+      Redacted: {types.map(type => REDACTION_TYPE_LABELS[type] || type).join(', ')}
+    </span>
+  );
+}
@@ -13,9 +13,9 @@ const AGENCY_COLORS = {
   NEWS: 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-200',
 };
 
-export function RegulatoryTimeline() {
+// `expanded` is owned by the Dashboard so saved views can restore it
+export function RegulatoryTimeline({ expanded: isExpanded = false, onExpandedChange }) {
   const [selectedAgency, setSelectedAgency] = useState('all');
-  const [isExpanded, setIsExpanded] = useState(false);
 
   // Fetch live news with 60-second refresh
   const { news: liveNews, loading, lastUpdated } = useRegulatoryNews(60000);
@@ -158,7 +158,7 @@ export function RegulatoryTimeline() {
         {/* Expand/Collapse Button */}
         {displayItems.length > 3 && (
           <button
-            onClick={() => setIsExpanded(!isExpanded)}
+            onClick={() => onExpandedChange(!isExpanded)}
             className="absolute bottom-1 right-1 p-1.5 rounded-full bg-blue-600 hover:bg-blue-700 dark:bg-gray-600/90 dark:hover:bg-gray-500 transition-all shadow-md"
             title={isExpanded ? 'Collapse' : 'Expand'}
           >
@@ -0,0 +1,111 @@
+import { useState, useRef } from 'react';
+
+// Saved filter views menu, shown in the filter bar
+export function SavedViews({ views, defaultViewId, onApply, onSave, onDelete, onSetDefault, onImport, onExport }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [importError, setImportError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName('');
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([onExport()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'complaintsignal-views.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onImport(await file.text());
+      setImportError(null);
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="px-2.5 py-1.5 text-xs sm:text-sm font-medium rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors"
+      >
+        Views{views.length > 0 ? ` (${views.length})` : ''} ▾
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-40 mt-1 w-72 bg-white dark:bg-gray-800 rounded-lg shadow-xl border border-gray-200 dark:border-gray-700 p-3 space-y-3">
+          {views.length === 0 ? (
+            <p className="text-xs text-gray-500 dark:text-gray-400">No saved views yet</p>
+          ) : (
+            <ul className="space-y-1 max-h-60 overflow-y-auto">
+              {views.map(view => (
+                <li key={view.id} className="flex items-center gap-1">
+                  <button
+                    onClick={() => { onApply(view); setOpen(false); }}
+                    className="flex-1 min-w-0 text-left truncate px-2 py-1 text-sm rounded text-gray-800 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  >
+                    {view.name}
+                  </button>
+                  <button
+                    onClick={() => onSetDefault(view.id === defaultViewId ? null : view.id)}
+                    title={view.id === defaultViewId ? 'Default view (click to unset)' : 'Apply on load'}
+                    className={`px-1 text-sm ${view.id === defaultViewId ? 'text-amber-500' : 'text-gray-300 dark:text-gray-600 hover:text-amber-400'}`}
+                  >
+                    ★
+                  </button>
+                  <button
+                    onClick={() => onDelete(view.id)}
+                    title="Delete view"
+                    className="px-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleSave} className="flex items-center gap-1.5 border-t dark:border-gray-700 pt-3">
+            <input
+              type="text"
+              value={name}
+              onChange={e => setName(e.target.value)}
+              placeholder="Name this view"
+              className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400"
+            />
+            <button
+              type="submit"
+              className="px-2.5 py-1 text-sm font-medium bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+            >
+              Save
+            </button>
+          </form>
+
+          <div className="flex items-center gap-3 text-xs">
+            <button onClick={handleExport} disabled={views.length === 0} className="font-medium text-blue-600 dark:text-blue-400 hover:text-blue-700 disabled:opacity-50">
+              Export JSON
+            </button>
+            <button onClick={() => fileInputRef.current?.click()} className="font-medium text-blue-600 dark:text-blue-400 hover:text-blue-700">
+              Import JSON
+            </button>
+            <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+          </div>
+          {importError && <p className="text-xs text-red-500">{importError}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
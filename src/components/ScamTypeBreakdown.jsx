@@ -0,0 +1,69 @@
+import { SCAM_TYPE_LABELS } from '../utils/classificationLabels';
+
+// Scam-type breakdown for the fraud drill-down: share of fraud complaints,
+// 30-day trend and monthly counts per type (analyzeIssuePatterns'
+// `scamTypes`). Tapping a type filters the list below to it.
+export function ScamTypeBreakdown({ scamTypes, total, selectedType, onSelectType }) {
+  if (!scamTypes || scamTypes.length === 0) return null;
+  const maxMonthCount = Math.max(1, ...scamTypes.flatMap(t => t.months.map(m => m.count)));
+  const monthLabels = scamTypes[0].months.map(m => m.label);
+
+  return (
+    <div className="mb-4 rounded-lg border border-red-200 dark:border-red-900/60 p-3">
+      <div className="flex justify-between items-baseline mb-2">
+        <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Scam types</div>
+        <div className="text-xs text-gray-500 dark:text-gray-400">
+          {monthLabels[0]} – {monthLabels[monthLabels.length - 1]}
+        </div>
+      </div>
+      <div className="space-y-1.5">
+        {scamTypes.map(type => {
+          const share = total > 0 ? Math.round((type.count / total) * 100) : 0;
+          const selected = selectedType === type.id;
+          return (
+            <button
+              key={type.id}
+              type="button"
+              onClick={() => onSelectType(selected ? null : type.id)}
+              className={`w-full flex items-center gap-3 px-2 py-1 rounded text-left transition-colors ${
+                selected ? 'bg-red-50 dark:bg-red-900/30' : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'
+              }`}
+            >
+              <span className="text-sm text-gray-900 dark:text-white w-48 flex-shrink-0 truncate">
+                {SCAM_TYPE_LABELS[type.id] || type.id}
+              </span>
+              <div className="flex-1 h-2 bg-gray-200 dark:bg-gray-600 rounded-full overflow-hidden">
+                <div className="h-full bg-red-500 rounded-full" style={{ width: `${share}%` }} />
+              </div>
+              <span className="text-xs font-medium text-gray-700 dark:text-gray-300 w-16 text-right">
+                {type.count.toLocaleString()} · {share}%
+              </span>
+              {/* Monthly counts */}
+              <div className="hidden sm:flex items-end gap-0.5 h-5 w-16" title={type.months.map(m => `${m.label}: ${m.count}`).join('\n')}>
+                {type.months.map(m => (
+                  <div
+                    key={m.month}
+                    className="flex-1 bg-red-300 dark:bg-red-700 rounded-sm"
+                    style={{ height: `${Math.max(m.count > 0 ? 10 : 0, (m.count / maxMonthCount) * 100)}%` }}
+                  />
+                ))}
+              </div>
+              <span className="text-xs font-semibold w-12 text-right">
+                {type.trend === 'up' ? (
+                  <span className="text-red-600 dark:text-red-400">↑{type.trendPercent}%</span>
+                ) : type.trend === 'down' ? (
+                  <span className="text-emerald-600 dark:text-emerald-400">↓{type.trendPercent}%</span>
+                ) : (
+                  <span className="text-gray-500">—</span>
+                )}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        Trend: last 30 days vs the 30 before. Tap a type to filter the complaints below.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { useNarrativeSearch } from '../hooks/useNarrativeSearch';
+import { NarrativeCard } from './NarrativeCard';
+
+const PAGE_SIZE = 20;
+
+// Ranked full-text search results for the header search bar
+export function SearchResults({ query, onClose }) {
+  const { results, total, terms, loading, error } = useNarrativeSearch(query);
+  const [visible, setVisible] = useState({ query, count: PAGE_SIZE });
+
+  // Start from the first page whenever the query changes
+  const visibleCount = visible.query === query ? visible.count : PAGE_SIZE;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow mb-6 flex flex-col max-h-[80vh]">
+      {/* Header */}
+      <div className="p-4 border-b dark:border-gray-700 flex justify-between items-start">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Narrative Search
+          </h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {loading
+              ? `Searching for "${query}"...`
+              : `${total.toLocaleString()} complaint${total !== 1 ? 's' : ''} matching "${query}", best match first`}
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 hover:bg-gray-100 dark:hover:bg-gray-700 rounded"
+        >
+          <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {/* Results */}
+      <div className="flex-1 overflow-y-auto p-4">
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <span className="ml-3 text-sm text-gray-600 dark:text-gray-300">Indexing narratives...</span>
+          </div>
+        ) : error ? (
+          <p className="text-center text-red-500 py-8">{error}</p>
+        ) : results.length === 0 ? (
+          <p className="text-center text-gray-500 dark:text-gray-400 py-8">No complaints found</p>
+        ) : (
+          <div className="space-y-3">
+            {results.slice(0, visibleCount).map(({ complaint }, index) => (
+              <NarrativeCard
+                key={complaint.complaint_id || index}
+                complaint={complaint}
+                index={index}
+                keywords={terms}
+              />
+            ))}
+            {visibleCount < results.length && (
+              <button
+                onClick={() => setVisible({ query, count: visibleCount + PAGE_SIZE })}
+                className="w-full py-3 text-sm font-medium text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/20 rounded-lg hover:bg-blue-100 dark:hover:bg-blue-900/40 transition-colors"
+              >
+                Load More ({Math.min(PAGE_SIZE, results.length - visibleCount)} more of {results.length - visibleCount} remaining)
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Footer */}
+      <div className="p-3 border-t dark:border-gray-700">
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {total > results.length && `Showing the top ${results.length} of ${total.toLocaleString()}. `}
+          Syntax: <code>"seed phrase"</code>, <code>zelle AND coinbase</code>, <code>OR</code>, <code>NOT</code> / <code>-word</code>, <code>( )</code>, <code>company:kraken</code>, <code>state:CA</code>, <code>issue:fraud</code>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -32,18 +32,9 @@ const COLOR_SCALE = [
 // Fixed thresholds for cleaner legend
 const THRESHOLDS = [100, 500, 1000, 2000];
 
-function StateHeatmap({ data, selectedState, onStateClick }) {
-  // Group complaints by state
-  const stateData = useMemo(() => {
-    const counts = {};
-    data.forEach(complaint => {
-      const state = complaint.state;
-      if (state && state.length === 2) {
-        counts[state] = (counts[state] || 0) + 1;
-      }
-    });
-    return counts;
-  }, [data]);
+function StateHeatmap({ counts, selectedStates = [], onStateClick }) {
+  // Complaint counts per state, precomputed by the complaints worker
+  const stateData = counts;
 
   // Create color scale with fixed thresholds
   const colorScale = useMemo(() => {
@@ -70,14 +61,14 @@ function StateHeatmap({ data, selectedState, onStateClick }) {
       <div className="flex justify-between items-start gap-2 mb-3 sm:mb-4">
         <div>
           <h3 className="text-base sm:text-lg font-medium text-gray-900 dark:text-white">Complaints by State</h3>
-          <p className="text-xs sm:text-sm text-gray-600 dark:text-gray-200">Tap a state to filter</p>
+          <p className="text-xs sm:text-sm text-gray-600 dark:text-gray-200">Tap states to add or remove them from the filter</p>
         </div>
-        {selectedState && (
+        {selectedStates.length > 0 && (
           <button
             onClick={() => onStateClick(null)}
             className="text-xs sm:text-sm text-blue-600 dark:text-blue-400 active:text-blue-800 flex-shrink-0"
           >
-            Clear ({selectedState})
+            Clear ({selectedStates.join(', ')})
           </button>
         )}
       </div>
@@ -88,7 +79,7 @@ function StateHeatmap({ data, selectedState, onStateClick }) {
             {({ geographies }) =>
               geographies.map(geo => {
                 const stateAbbr = fipsToStateAbbr[geo.id];
-                const isSelected = selectedState === stateAbbr;
+                const isSelected = selectedStates.includes(stateAbbr);
                 const count = stateData[stateAbbr] || 0;
 
                 return (
@@ -107,7 +98,7 @@ function StateHeatmap({ data, selectedState, onStateClick }) {
                       },
                       pressed: { outline: 'none' },
                     }}
-                    onClick={() => onStateClick(stateAbbr === selectedState ? null : stateAbbr)}
+                    onClick={() => onStateClick(stateAbbr)}
                     data-tooltip-id="state-tooltip"
                     data-tooltip-content={`${stateAbbr}: ${count.toLocaleString()} complaints`}
                   />
@@ -148,9 +139,9 @@ function StateHeatmap({ data, selectedState, onStateClick }) {
           {topStates.map(([state, count]) => (
             <button
               key={state}
-              onClick={() => onStateClick(state === selectedState ? null : state)}
+              onClick={() => onStateClick(state)}
               className={`w-full text-center px-2 py-1 text-xs rounded ${
-                state === selectedState
+                selectedStates.includes(state)
                   ? 'bg-blue-600 text-white'
                   : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
               }`}
@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+
+// Written by scripts/fetch-cfpb-data.cjs, newest run first
+const CHANGELOG_URL = `${import.meta.env.BASE_URL}data/changelog.json`;
+
+/**
+ * Load the dataset changelog (what each refresh added, updated and removed).
+ * `runs` stays empty while loading or if the file is missing.
+ */
+export function useChangelog() {
+  const [state, setState] = useState({ runs: [], loading: true });
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(CHANGELOG_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(changelog => {
+        if (!cancelled) setState({ runs: changelog.runs || [], loading: false });
+      })
+      .catch(() => {
+        if (!cancelled) setState({ runs: [], loading: false });
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  return state;
+}
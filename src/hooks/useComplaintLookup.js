@@ -0,0 +1,27 @@
+import { useState, useEffect } from 'react';
+import { fetchComplaintById } from '../utils/complaintsWorkerClient';
+
+/**
+ * Look up a complaint by ID, ignoring the active filters (used for the
+ * complaint modal, which can be opened from a shared link)
+ */
+export function useComplaintLookup(complaintId) {
+  const [found, setFound] = useState({ id: null, complaint: null });
+
+  useEffect(() => {
+    if (!complaintId) return;
+
+    let cancelled = false;
+    fetchComplaintById(complaintId)
+      .then(complaint => { if (!cancelled) setFound({ id: complaintId, complaint }); })
+      .catch(() => { if (!cancelled) setFound({ id: complaintId, complaint: null }); });
+    return () => { cancelled = true; };
+  }, [complaintId]);
+
+  const current = Boolean(complaintId) && found.id === complaintId;
+  return {
+    complaint: current ? found.complaint : null,
+    loading: Boolean(complaintId) && !current,
+    notFound: current && !found.complaint,
+  };
+}
@@ -1,71 +1,103 @@
-import { useState, useEffect, useMemo } from 'react';
-import complaintsData from '../data/complaints.json';
+import { useState, useEffect } from 'react';
+import {
+  fetchComplaintIndex,
+  fetchComplaintSummary,
+  queryComplaints,
+  updateLabelOverrides,
+} from '../utils/complaintsWorkerClient';
+import { getFilterKey } from '../utils/filterComplaints';
 
-// Extract complaints from the comprehensive data file
-// This data includes: Coinbase, Block/Cash App, Robinhood, Kraken, Gemini, Crypto.com, and more
-// Data auto-refreshes weekly via GitHub Actions
-const staticComplaints = complaintsData.hits?.hits?.map(hit => hit._source) || [];
+// Aggregates shown before the first worker result arrives
+const EMPTY_RESULT = {
+  data: [],
+  latestDate: null,
+  trendData: [],
+  companyData: [],
+  companyDetails: [],
+  metrics: { total: 0, timelyRate: 0, topIssue: 'N/A', trend: 'neutral', trendPercent: 0, claimedLosses: 0, lossComplaints: 0 },
+  fraudRate: 0,
+  narrativeCount: 0,
+  issuePatterns: [],
+  stateCounts: {},
+  weeklyHistory: [],
+  hasLossData: false,
+  filterOptions: {},
+};
 
-export function useComplaints(filters = {}) {
-  const [loading, setLoading] = useState(true);
+// Complaints are served as month shards (see scripts/build-shards.cjs) for the
+// companies in src/data/companyUniverse.json, refreshed weekly via GitHub Actions.
+// Loading, filtering and aggregation run in a Web Worker; only the months the
+// active date filter needs are downloaded, and narratives load on demand
+// (see useNarrative). Month/company/state aggregates come from the
+// pre-computed cube first (see scripts/build-aggregates.cjs) so those panels
+// render before the shards finish loading. `labelOverrides` are unexported
+// analyst reviews (see useLabelOverrides); changing them re-runs the query,
+// and while there are any only the query answers.
+export function useComplaints(filters = {}, labelOverrides = null) {
+  const [index, setIndex] = useState(null);
+  const [summary, setSummary] = useState({ key: null, value: null });
+  const [result, setResult] = useState({ key: null, value: null });
+  const [error, setError] = useState(null);
   const [lastUpdated] = useState(new Date());
 
-  // Simulate initial load
+  // Normalized filters as a string, so effects only rerun on real changes
+  const filterKey = getFilterKey(filters);
+  const overridesKey = JSON.stringify(labelOverrides || {});
+  const queryKey = `${filterKey}|${overridesKey}`;
+  // The cube is built with the committed overrides only, so its fraud rates
+  // would disagree with unexported reviews
+  const hasPendingOverrides = overridesKey !== '{}';
+
   useEffect(() => {
-    const timer = setTimeout(() => setLoading(false), 500);
-    return () => clearTimeout(timer);
+    let cancelled = false;
+    fetchComplaintIndex()
+      .then(value => { if (!cancelled) setIndex(value); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
   }, []);
 
-  // Filter data based on filters
-  const data = useMemo(() => {
-    let filtered = [...staticComplaints];
-
-    // Filter by company
-    if (filters.company && filters.company !== 'all') {
-      filtered = filtered.filter(c => c.company === filters.company);
-    }
-
-    // Filter by issue
-    if (filters.issue && filters.issue !== 'all') {
-      filtered = filtered.filter(c => c.issue === filters.issue);
-    }
-
-    // Filter by date range
-    if (filters.dateFrom) {
-      filtered = filtered.filter(c => c.date_received >= filters.dateFrom);
-    }
-    if (filters.dateTo) {
-      filtered = filtered.filter(c => c.date_received <= filters.dateTo);
-    }
+  useEffect(() => {
+    if (hasPendingOverrides) return;
+    let cancelled = false;
+    // Resolves to null when the filters need row-level data
+    fetchComplaintSummary(JSON.parse(filterKey))
+      .then(value => { if (!cancelled) setSummary({ key: filterKey, value }); })
+      .catch(() => { /* the full query below still answers */ });
+    return () => { cancelled = true; };
+  }, [filterKey, hasPendingOverrides]);
 
-    // Filter by state
-    if (filters.state) {
-      filtered = filtered.filter(c => c.state === filters.state);
-    }
+  // Declared before the query effect: the worker handles messages in order,
+  // so the query below already sees the new overrides
+  useEffect(() => {
+    updateLabelOverrides(JSON.parse(overridesKey)).catch(() => { /* labels stay as they were */ });
+  }, [overridesKey]);
 
-    return filtered;
-  }, [filters.company, filters.issue, filters.dateFrom, filters.dateTo, filters.state]);
+  useEffect(() => {
+    let cancelled = false;
+    queryComplaints(JSON.parse(filterKey))
+      .then(value => { if (!cancelled) setResult({ key: queryKey, value }); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [filterKey, queryKey]);
 
-  // Get date range from data
-  const dateRange = useMemo(() => {
-    if (staticComplaints.length === 0) return null;
-    const dates = staticComplaints
-      .map(c => c.date_received)
-      .filter(Boolean)
-      .sort();
-    return {
-      oldest: dates[0]?.slice(0, 10),
-      newest: dates[dates.length - 1]?.slice(0, 10),
-    };
-  }, []);
+  // Keep showing the previous result while a new filter is computed, with
+  // cube aggregates for the new filter layered on top once they arrive
+  const resultCurrent = result.key === queryKey;
+  const cubeSummary = !resultCurrent && !hasPendingOverrides && summary.key === filterKey ? summary.value : null;
+  const current = { ...(result.value || EMPTY_RESULT), ...cubeSummary };
+  const { data, ...aggregates } = current;
 
   return {
     data,
-    loading,
-    error: null,
+    aggregates,
+    loading: !error && !result.value && !cubeSummary,
+    updating: !error && result.value !== null && !resultCurrent && !cubeSummary,
+    detailsLoading: !error && !resultCurrent,
+    error,
     lastUpdated,
     isLive: true, // Data is current as of last static update
-    totalCount: staticComplaints.length,
-    dateRange,
+    totalCount: index?.total ?? 0,
+    removedCount: index?.removed ?? 0,
+    dateRange: index?.dateRange ?? null,
   };
 }
@@ -0,0 +1,33 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  loadPendingOverrides,
+  storePendingOverrides,
+  toOverride,
+  exportLabelOverrides,
+} from '../utils/labelOverrides';
+
+/**
+ * Analyst label reviews persisted in localStorage until exported.
+ * reviewLabel(complaintId, { primary, secondary, note }) records a review;
+ * passing null discards the pending one.
+ */
+export function useLabelOverrides() {
+  const [overrides, setOverrides] = useState(loadPendingOverrides);
+
+  useEffect(() => {
+    storePendingOverrides(overrides);
+  }, [overrides]);
+
+  const reviewLabel = useCallback((complaintId, review) => setOverrides(prev => {
+    const id = String(complaintId);
+    const { [id]: _previous, ...rest } = prev;
+    const override = review && toOverride({ ...review, reviewed_at: new Date().toISOString() });
+    return override ? { ...rest, [id]: override } : rest;
+  }), []);
+
+  return {
+    overrides,
+    reviewLabel,
+    exportToJson: () => exportLabelOverrides(overrides),
+  };
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+import { loadNarrative } from '../utils/complaintShards';
+
+/**
+ * Load a complaint's narrative on demand (narratives aren't in the month
+ * shards). Returns an empty narrative while loading or when there is none.
+ */
+export function useNarrative(complaint) {
+  const [loaded, setLoaded] = useState({ id: null, text: '' });
+  const id = complaint ? String(complaint.complaint_id) : null;
+  const inline = complaint?.complaint_what_happened;
+
+  useEffect(() => {
+    if (!complaint || inline !== undefined || !complaint.narrative_length) return;
+
+    let cancelled = false;
+    loadNarrative(complaint)
+      .then(text => {
+        if (!cancelled) setLoaded({ id, text });
+      })
+      .catch(() => {
+        if (!cancelled) setLoaded({ id, text: '' });
+      });
+    return () => { cancelled = true; };
+  }, [complaint, id, inline]);
+
+  if (inline !== undefined) {
+    return { narrative: inline || '', loading: false };
+  }
+  return {
+    narrative: loaded.id === id ? loaded.text : '',
+    loading: Boolean(complaint?.narrative_length) && loaded.id !== id,
+  };
+}
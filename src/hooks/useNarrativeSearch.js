@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+import { searchNarratives } from '../utils/complaintsWorkerClient';
+
+const EMPTY_SEARCH = { total: 0, results: [], terms: [] };
+
+/**
+ * Run a full-text narrative search in the complaints worker. The first
+ * search builds the index, so it takes noticeably longer than later ones.
+ */
+export function useNarrativeSearch(query) {
+  const [state, setState] = useState({ query: null, value: EMPTY_SEARCH, error: null });
+
+  useEffect(() => {
+    if (!query) return;
+
+    let cancelled = false;
+    searchNarratives(query)
+      .then(value => { if (!cancelled) setState({ query, value, error: null }); })
+      .catch(err => { if (!cancelled) setState({ query, value: EMPTY_SEARCH, error: err.message }); });
+    return () => { cancelled = true; };
+  }, [query]);
+
+  const current = state.query === query;
+  return {
+    ...(current ? state.value : EMPTY_SEARCH),
+    error: current ? state.error : null,
+    loading: Boolean(query) && !current,
+  };
+}
@@ -0,0 +1,42 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  loadSavedViews,
+  storeSavedViews,
+  addView,
+  importViews,
+  exportViews,
+} from '../utils/savedViews';
+
+/**
+ * Saved filter views persisted in localStorage
+ */
+export function useSavedViews() {
+  const [store, setStore] = useState(loadSavedViews);
+
+  useEffect(() => {
+    storeSavedViews(store);
+  }, [store]);
+
+  const saveView = useCallback((view) => setStore(prev => addView(prev, view)), []);
+
+  const deleteView = useCallback((id) => setStore(prev => ({
+    ...prev,
+    defaultViewId: prev.defaultViewId === id ? null : prev.defaultViewId,
+    views: prev.views.filter(v => v.id !== id),
+  })), []);
+
+  const setDefaultView = useCallback((id) => setStore(prev => ({ ...prev, defaultViewId: id })), []);
+
+  // Throws on invalid files so the caller can show the message
+  const importFromJson = useCallback((text) => setStore(importViews(store, text)), [store]);
+
+  return {
+    views: store.views,
+    defaultViewId: store.defaultViewId,
+    saveView,
+    deleteView,
+    setDefaultView,
+    importFromJson,
+    exportToJson: () => exportViews(store),
+  };
+}
@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { parseViewState, serializeViewState } from '../utils/urlState';
+
+/**
+ * Dashboard view state (filters, open complaint, IssueInsights pattern,
+ * narrative search) mirrored in the query string. Every change pushes a
+ * history entry, so back/forward step through previous views.
+ *
+ * `initialView` (partial) is used when the page is opened without any view
+ * state in the URL, e.g. the default saved view. Returns [view, updateView];
+ * updateView takes partial changes or a function of the previous view.
+ */
+export function useUrlState(initialView) {
+  const [view, setView] = useState(() => {
+    const fromUrl = parseViewState(window.location.search);
+    return window.location.search || !initialView ? fromUrl : { ...fromUrl, ...initialView };
+  });
+  const isFirstSync = useRef(true);
+
+  // Restore the view when the user navigates with back/forward
+  useEffect(() => {
+    const handlePopState = () => setView(parseViewState(window.location.search));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Write the view to the URL. The first sync only normalizes the link we
+  // were opened with; after that, state that came from popstate already
+  // matches the URL and is skipped.
+  useEffect(() => {
+    const search = serializeViewState(view);
+    if (search === window.location.search) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (isFirstSync.current) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }, [view]);
+
+  useEffect(() => {
+    isFirstSync.current = false;
+  }, []);
+
+  const updateView = useCallback((changes) => {
+    setView(prev => ({ ...prev, ...(typeof changes === 'function' ? changes(prev) : changes) }));
+  }, []);
+
+  return [view, updateView];
+}
@@ -0,0 +1,148 @@
+import { format, parseISO } from 'date-fns';
+import { normalizeFieldFilter } from './filterComplaints';
+
+// Filter keys the cube can answer exactly (see scripts/build-aggregates.cjs)
+const CUBE_FILTER_KEYS = new Set(['company', 'issue', 'state', 'dateFrom']);
+
+/**
+ * Whether a normalized filter object can be answered from the cube alone.
+ * Date ranges must start on a month boundary; row filtering treats dateTo
+ * as exclusive of that day, which month cells can't express.
+ */
+export function canUseCube(filters) {
+  return Object.keys(filters).every(key => CUBE_FILTER_KEYS.has(key)) &&
+    (!filters.dateFrom || filters.dateFrom.endsWith('-01'));
+}
+
+function rate(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+/**
+ * Month, company and state aggregates for the given filters, in the same
+ * shapes groupByMonth / groupByCompany / groupByState / calculateMetrics
+ * produce from rows. Trend fields need day-level dates, so they're neutral.
+ */
+export function summarizeCube(cube, filters) {
+  const [MONTH, COMPANY, STATE, ISSUE, CATEGORY] = [0, 1, 2, 3, 4];
+  const [COUNT, TIMELY, DISPUTED, RELIEF, CLAIMED_LOSS, LOSS_COMPLAINTS] = [5, 6, 7, 8, 9, 10];
+  const dims = cube.dimensions;
+  const fromMonth = filters.dateFrom?.slice(0, 7);
+  const matchers = ['company', 'issue', 'state'].map(field => {
+    const { include, exclude } = normalizeFieldFilter(filters[field]);
+    return value => (include.length === 0 || include.includes(value)) && !exclude.includes(value);
+  });
+
+  const months = {};
+  const companies = {};
+  const states = {};
+  const issues = {};
+  let total = 0;
+  let timely = 0;
+  let fraud = 0;
+  let claimedLosses = 0;
+  let lossComplaints = 0;
+
+  cube.cells.forEach(cell => {
+    const month = dims.month[cell[MONTH]];
+    const company = dims.company[cell[COMPANY]];
+    const state = dims.state[cell[STATE]];
+    const issue = dims.issue[cell[ISSUE]];
+
+    if (![company, issue, state].every((value, i) => matchers[i](value))) return;
+    if (fromMonth && month < fromMonth) return;
+
+    const count = cell[COUNT];
+    const isFraud = dims.category[cell[CATEGORY]] === 'fraud';
+    // Loss measures are missing from cubes built before they were added
+    const claimedLoss = cell[CLAIMED_LOSS] ?? 0;
+    const lossCount = cell[LOSS_COMPLAINTS] ?? 0;
+    total += count;
+    timely += cell[TIMELY];
+    if (isFraud) fraud += count;
+    claimedLosses += claimedLoss;
+    lossComplaints += lossCount;
+
+    const monthStats = months[month] || (months[month] = { count: 0, claimedLosses: 0, lossComplaints: 0 });
+    monthStats.count += count;
+    monthStats.claimedLosses += claimedLoss;
+    monthStats.lossComplaints += lossCount;
+    issues[issue] = (issues[issue] || 0) + count;
+    if (state && state.length === 2) {
+      states[state] = (states[state] || 0) + count;
+    }
+
+    const stats = companies[company] || (companies[company] = {
+      total: 0, timely: 0, disputed: 0, relief: 0, fraud: 0, claimedLosses: 0, lossMonths: {},
+      oldest: month, newest: month,
+    });
+    stats.total += count;
+    stats.timely += cell[TIMELY];
+    stats.disputed += cell[DISPUTED];
+    stats.relief += cell[RELIEF];
+    if (isFraud) stats.fraud += count;
+    if (lossCount > 0) {
+      stats.claimedLosses += claimedLoss;
+      const lossMonth = stats.lossMonths[month] || (stats.lossMonths[month] = { claimedLosses: 0, lossComplaints: 0 });
+      lossMonth.claimedLosses += claimedLoss;
+      lossMonth.lossComplaints += lossCount;
+    }
+    if (month < stats.oldest) stats.oldest = month;
+    if (month > stats.newest) stats.newest = month;
+  });
+
+  const toMonthRows = (byMonth) => Object.entries(byMonth)
+    .map(([month, stats]) => ({
+      month,
+      label: format(parseISO(`${month}-01`), 'MMM yyyy'),
+      ...stats,
+    }))
+    .sort((a, b) => a.month.localeCompare(b.month));
+
+  const trendData = toMonthRows(months);
+
+  const companyData = Object.entries(companies)
+    .map(([company, stats]) => ({
+      company,
+      total: stats.total,
+      timelyRate: rate(stats.timely, stats.total),
+      disputeRate: rate(stats.disputed, stats.total),
+      reliefRate: rate(stats.relief, stats.total),
+      claimedLosses: stats.claimedLosses,
+    }))
+    .sort((a, b) => b.total - a.total);
+
+  const companyDetails = companyData.map(row => ({
+    ...row,
+    fraudRate: rate(companies[row.company].fraud, row.total),
+    trend: 'neutral',
+    trendPercent: 0,
+    recentCount: 0,
+    previousCount: 0,
+    dateRange: {
+      oldest: `${companies[row.company].oldest}-01`,
+      newest: `${companies[row.company].newest}-01`,
+    },
+    lossByMonth: toMonthRows(companies[row.company].lossMonths),
+    complaints: [],
+  }));
+
+  const topIssue = Object.entries(issues).sort((a, b) => b[1] - a[1])[0]?.[0] || 'N/A';
+
+  return {
+    trendData,
+    companyData,
+    companyDetails,
+    stateCounts: states,
+    metrics: {
+      total,
+      timelyRate: rate(timely, total),
+      topIssue,
+      trend: 'neutral',
+      trendPercent: 0,
+      claimedLosses,
+      lossComplaints,
+    },
+    fraudRate: rate(fraud, total),
+  };
+}
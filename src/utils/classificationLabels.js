@@ -0,0 +1,45 @@
+// Display constants for classifications. Kept apart from issueCategories.js,
+// which bundles classifications.json and is only loaded by the worker.
+
+// Display names for getClassificationSource values
+export const CLASSIFICATION_SOURCE_LABELS = {
+  reviewed: 'Analyst review',
+  ai: 'AI label',
+  keyword: 'Keyword fallback',
+  unclassified: 'Unclassified',
+};
+
+// Display names for the categories in issuePatterns.json
+export const ISSUE_CATEGORY_LABELS = {
+  locked_account: 'Account Access',
+  verification: 'Verification Issues',
+  withdrawal: 'Withdrawal Problems',
+  customer_service: 'Support Response',
+  fraud: 'Fraud/Scam Reports',
+  fees: 'Fee Disputes',
+  other: 'Other Issues',
+};
+
+// Display names for the fraud scam types in scamTypePatterns.json, plus
+// fraud complaints the second classifier stage hasn't typed yet
+export const SCAM_TYPE_LABELS = {
+  romance: 'Pig Butchering / Romance',
+  impersonation: 'Impersonation / Fake Support',
+  phishing: 'Phishing / SIM Swap',
+  account_takeover: 'Account Takeover',
+  investment_scam: 'Investment Platform Scam',
+  merchant_dispute: 'Merchant Dispute',
+  other_fraud: 'Other Fraud',
+  untyped: 'Not Yet Typed',
+};
+
+// Classifications below this confidence are flagged for review
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+/**
+ * Whether a classification has a confidence below LOW_CONFIDENCE_THRESHOLD
+ * (legacy records without a confidence are not flagged)
+ */
+export function isLowConfidence(classification) {
+  return classification?.confidence != null && classification.confidence < LOW_CONFIDENCE_THRESHOLD;
+}
@@ -0,0 +1,28 @@
+import companyUniverse from '../data/companyUniverse.json';
+
+// Every CFPB name (canonical + aliases) mapped to its universe entry
+const companiesByName = new Map();
+companyUniverse.companies.forEach(entry => {
+  [entry.name, ...(entry.aliases || [])].forEach(name => companiesByName.set(name, entry));
+});
+
+/**
+ * Look up the universe entry for a CFPB company name or alias
+ */
+export function getCompanyEntry(name) {
+  return companiesByName.get(name) || null;
+}
+
+/**
+ * Short, human-friendly company name (falls back to the CFPB name)
+ */
+export function getCompanyDisplayName(name) {
+  return getCompanyEntry(name)?.displayName || name;
+}
+
+/**
+ * Display names of all tracked companies, in universe order
+ */
+export function getTrackedCompanyNames() {
+  return companyUniverse.companies.map(entry => entry.displayName);
+}
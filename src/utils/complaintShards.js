@@ -0,0 +1,67 @@
+// Month-sharded complaint data written by scripts/build-shards.cjs
+const SHARD_BASE = `${import.meta.env.BASE_URL}data/complaints/`;
+
+// One request per file for the lifetime of the page
+const requests = new Map();
+
+function fetchJson(file) {
+  if (!requests.has(file)) {
+    const request = fetch(`${SHARD_BASE}${file}`).then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load ${file} (HTTP ${response.status})`);
+      }
+      return response.json();
+    });
+    // Let a failed request be retried instead of caching the rejection
+    request.catch(() => requests.delete(file));
+    requests.set(file, request);
+  }
+  return requests.get(file);
+}
+
+/**
+ * Load the compact shard index (months, counts, overall date range)
+ */
+export function loadShardIndex() {
+  return fetchJson('index.json');
+}
+
+/**
+ * Months from the index that overlap an optional dateFrom/dateTo range
+ */
+export function getMonthsForRange(index, dateFrom, dateTo) {
+  const fromMonth = dateFrom?.slice(0, 7);
+  const toMonth = dateTo?.slice(0, 7);
+  return index.months
+    .map(m => m.month)
+    .filter(month => (!fromMonth || month >= fromMonth) && (!toMonth || month <= toMonth));
+}
+
+/**
+ * Load and concatenate the complaint shards for the given months
+ */
+export async function loadComplaintShards(months) {
+  const shards = await Promise.all(months.map(month => fetchJson(`${month}.json`)));
+  return shards.flat();
+}
+
+/**
+ * Load a month's narratives as { complaint_id: text }
+ */
+export function loadNarrativeShard(month) {
+  return fetchJson(`narratives/${month}.json`);
+}
+
+/**
+ * Load the narrative for a single complaint from its month's narrative shard
+ */
+export async function loadNarrative(complaint) {
+  if (complaint.complaint_what_happened !== undefined) {
+    return complaint.complaint_what_happened;
+  }
+  if (!complaint.narrative_length) return '';
+
+  const month = complaint.date_received?.slice(0, 7) || 'unknown';
+  const narratives = await loadNarrativeShard(month);
+  return narratives[String(complaint.complaint_id)] || '';
+}
@@ -0,0 +1,81 @@
+// Promise wrapper around the complaints worker's { id, type } message API
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/complaints.worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (event) => {
+      const { id, result, error } = event.data;
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(result);
+      }
+    };
+
+    // A crashed worker fails every outstanding request; the next call starts a new one
+    worker.onerror = (event) => {
+      pending.forEach(request => request.reject(new Error(event.message || 'Complaints worker failed')));
+      pending.clear();
+      worker.terminate();
+      worker = null;
+    };
+  }
+  return worker;
+}
+
+function request(type, payload = {}) {
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    getWorker().postMessage({ id, type, ...payload });
+  });
+}
+
+/**
+ * Load the shard index (months, totals, date range)
+ */
+export function fetchComplaintIndex() {
+  return request('index');
+}
+
+/**
+ * Cube-backed month/company/state aggregates, or null if the filters need rows
+ */
+export function fetchComplaintSummary(filters) {
+  return request('summary', { filters });
+}
+
+/**
+ * Filter complaints and compute every dashboard aggregate for the filters
+ */
+export function queryComplaints(filters) {
+  return request('query', { filters });
+}
+
+/**
+ * Look up a complaint by ID in any month; resolves to null if there is none
+ */
+export function fetchComplaintById(complaintId) {
+  return request('complaint', { complaintId });
+}
+
+/**
+ * Full-text narrative search (see utils/narrativeSearch for the syntax)
+ */
+export function searchNarratives(query) {
+  return request('search', { query });
+}
+
+/**
+ * Send unexported label reviews to the worker; later queries use them
+ */
+export function updateLabelOverrides(overrides) {
+  return request('overrides', { overrides });
+}
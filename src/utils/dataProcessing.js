@@ -1,7 +1,9 @@
 import { format, parseISO, startOfMonth } from 'date-fns';
+import { getClaimedLoss } from './losses';
 
 /**
- * Group complaints by month for trend chart
+ * Group complaints by month for trend chart, with the USD losses claimed
+ * in each month's narratives
  */
 export function groupByMonth(complaints) {
   const grouped = {};
@@ -13,17 +15,25 @@ export function groupByMonth(complaints) {
     const monthKey = format(parseISO(date), 'yyyy-MM');
 
     if (!grouped[monthKey]) {
-      grouped[monthKey] = 0;
+      grouped[monthKey] = { count: 0, claimedLosses: 0, lossComplaints: 0 };
+    }
+    grouped[monthKey].count++;
+
+    const claimedLoss = getClaimedLoss(complaint);
+    if (claimedLoss > 0) {
+      grouped[monthKey].claimedLosses += claimedLoss;
+      grouped[monthKey].lossComplaints++;
     }
-    grouped[monthKey]++;
   });
 
   // Convert to array and sort by date
   return Object.entries(grouped)
-    .map(([month, count]) => ({
+    .map(([month, stats]) => ({
       month,
       label: format(parseISO(`${month}-01`), 'MMM yyyy'),
-      count,
+      count: stats.count,
+      claimedLosses: Math.round(stats.claimedLosses),
+      lossComplaints: stats.lossComplaints,
     }))
     .sort((a, b) => a.month.localeCompare(b.month));
 }
@@ -64,6 +74,7 @@ export function groupByCompany(complaints) {
         timelyResponse: 0,
         disputed: 0,
         closedWithRelief: 0,
+        claimedLosses: 0,
       };
     }
 
@@ -83,6 +94,8 @@ export function groupByCompany(complaints) {
     ) {
       grouped[company].closedWithRelief++;
     }
+
+    grouped[company].claimedLosses += getClaimedLoss(complaint);
   });
 
   // Convert to array with percentages
@@ -93,6 +106,7 @@ export function groupByCompany(complaints) {
       timelyRate: stats.total > 0 ? Math.round((stats.timelyResponse / stats.total) * 100) : 0,
       disputeRate: stats.total > 0 ? Math.round((stats.disputed / stats.total) * 100) : 0,
       reliefRate: stats.total > 0 ? Math.round((stats.closedWithRelief / stats.total) * 100) : 0,
+      claimedLosses: Math.round(stats.claimedLosses),
     }))
     .sort((a, b) => b.total - a.total);
 }
@@ -110,6 +124,10 @@ export function calculateMetrics(complaints) {
   const issueGroups = groupByIssue(complaints);
   const topIssue = issueGroups[0]?.issue || 'N/A';
 
+  // USD losses claimed in narratives
+  const losses = complaints.map(getClaimedLoss).filter(amount => amount > 0);
+  const claimedLosses = Math.round(losses.reduce((sum, amount) => sum + amount, 0));
+
   // Calculate month-over-month trend from the data
   let trend = 'neutral';
   let trendPercent = 0;
@@ -141,6 +159,8 @@ export function calculateMetrics(complaints) {
     topIssue,
     trend,
     trendPercent: Math.abs(trendPercent),
+    claimedLosses,
+    lossComplaints: losses.length,
   };
 }
 
@@ -165,3 +185,98 @@ export function getUniqueCompanies(complaints) {
   });
   return Array.from(companies).sort();
 }
+
+/**
+ * Count complaints per two-letter state code
+ */
+export function groupByState(complaints) {
+  const counts = {};
+  complaints.forEach(complaint => {
+    const state = complaint.state;
+    if (state && state.length === 2) {
+      counts[state] = (counts[state] || 0) + 1;
+    }
+  });
+  return counts;
+}
+
+/**
+ * Count complaints per week (keyed by Monday), newest week first
+ */
+export function groupByWeek(complaints) {
+  const weeks = {};
+  complaints.forEach(c => {
+    if (!c.date_received) return;
+    const date = new Date(c.date_received);
+    // Get Monday of that week
+    const day = date.getDay();
+    const diff = date.getDate() - day + (day === 0 ? -6 : 1);
+    const monday = new Date(date.setDate(diff));
+    const weekKey = monday.toISOString().slice(0, 10);
+    weeks[weekKey] = (weeks[weekKey] || 0) + 1;
+  });
+  return Object.entries(weeks)
+    .sort((a, b) => b[0].localeCompare(a[0]));
+}
+
+/**
+ * Add fraud rate, 30-day trend, date range, claimed losses by month and
+ * complaint list to each company row from groupByCompany
+ */
+export function buildCompanyDetails(companyData, complaints, isFraud) {
+  const byCompany = {};
+  complaints.forEach(c => {
+    const company = c.company || 'Unknown';
+    (byCompany[company] = byCompany[company] || []).push(c);
+  });
+
+  const now = new Date();
+  const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+  const sixtyDaysAgo = new Date(now.getTime() - 60 * 24 * 60 * 60 * 1000);
+
+  return companyData.map(company => {
+    const companyComplaints = byCompany[company.company] || [];
+
+    const fraudCount = companyComplaints.filter(isFraud).length;
+    const fraudRate = companyComplaints.length > 0
+      ? Math.round((fraudCount / companyComplaints.length) * 100)
+      : 0;
+
+    const recentCount = companyComplaints.filter(c => {
+      const date = new Date(c.date_received);
+      return date >= thirtyDaysAgo;
+    }).length;
+
+    const previousCount = companyComplaints.filter(c => {
+      const date = new Date(c.date_received);
+      return date >= sixtyDaysAgo && date < thirtyDaysAgo;
+    }).length;
+
+    let trend = 'neutral';
+    let trendPercent = 0;
+    if (previousCount > 0) {
+      trendPercent = Math.round(((recentCount - previousCount) / previousCount) * 100);
+      trend = trendPercent > 5 ? 'up' : trendPercent < -5 ? 'down' : 'neutral';
+    }
+
+    const dates = companyComplaints
+      .map(c => c.date_received)
+      .filter(Boolean)
+      .sort();
+    const dateRange = dates.length > 0
+      ? { oldest: dates[0], newest: dates[dates.length - 1] }
+      : null;
+
+    return {
+      ...company,
+      fraudRate,
+      trend,
+      trendPercent: Math.abs(trendPercent),
+      recentCount,
+      previousCount,
+      dateRange,
+      lossByMonth: groupByMonth(companyComplaints).filter(m => m.lossComplaints > 0),
+      complaints: companyComplaints,
+    };
+  });
+}
@@ -0,0 +1,121 @@
+/**
+ * Multi-value filter fields. Each is stored in the filter object as
+ * { include: [...], exclude: [...] }: a row passes when its value is in
+ * `include` (if any) and not in `exclude`. `category` and `source` read the
+ * fields annotateComplaint (issueCategories.js) adds in the worker.
+ */
+export const FILTER_FIELDS = {
+  company: c => c.company,
+  issue: c => c.issue,
+  sub_product: c => c.sub_product,
+  state: c => c.state,
+  category: c => c.issue_category,
+  source: c => c.classification_source,
+  company_response: c => c.company_response,
+  timely: c => c.timely,
+};
+
+function normalizeValues(values) {
+  return [...new Set((values || []).filter(v => v !== undefined && v !== null && v !== ''))].sort();
+}
+
+/**
+ * Normalize one field's value to { include, exclude }. A bare string is
+ * treated as a single include, for callers that set one value.
+ */
+export function normalizeFieldFilter(value) {
+  if (typeof value === 'string') {
+    return { include: value === 'all' ? [] : [value], exclude: [] };
+  }
+  return {
+    include: normalizeValues(value?.include),
+    exclude: normalizeValues(value?.exclude),
+  };
+}
+
+/**
+ * Drop empty values and sort keys so equivalent filter objects share a key
+ */
+export function normalizeFilters(filters = {}) {
+  const normalized = {};
+  Object.keys(filters).sort().forEach(key => {
+    const value = filters[key];
+    if (key in FILTER_FIELDS) {
+      const field = normalizeFieldFilter(value);
+      if (field.include.length > 0 || field.exclude.length > 0) normalized[key] = field;
+      return;
+    }
+    if (value === undefined || value === null || value === '' || value === 'all' || value === false) return;
+    normalized[key] = value;
+  });
+  return normalized;
+}
+
+/**
+ * Stable cache key for a filter object
+ */
+export function getFilterKey(filters) {
+  return JSON.stringify(normalizeFilters(filters));
+}
+
+/**
+ * Add, move or remove a value in a field filter. `mode` is 'include',
+ * 'exclude' or null (remove). Returns a new filter object.
+ */
+export function setFilterValue(filters, field, value, mode) {
+  const current = normalizeFieldFilter(filters[field]);
+  const next = {
+    include: current.include.filter(v => v !== value),
+    exclude: current.exclude.filter(v => v !== value),
+  };
+  if (mode) next[mode] = [...next[mode], value];
+  return { ...filters, [field]: next };
+}
+
+/**
+ * Apply dashboard filters to complaint rows
+ */
+export function filterComplaints(complaints, filters = {}) {
+  // Complaints the CFPB has since withdrawn carry a `removed_at` tombstone
+  // (set by the fetcher's reconcile pass) and are hidden unless asked for
+  let filtered = filters.includeRemoved
+    ? [...complaints]
+    : complaints.filter(c => !c.removed_at);
+
+  // Include/exclude lists per field
+  Object.entries(FILTER_FIELDS).forEach(([field, getValue]) => {
+    if (!filters[field]) return;
+    const { include, exclude } = normalizeFieldFilter(filters[field]);
+    if (include.length === 0 && exclude.length === 0) return;
+    const included = new Set(include);
+    const excluded = new Set(exclude);
+    filtered = filtered.filter(c => {
+      const value = getValue(c);
+      return (included.size === 0 || included.has(value)) && !excluded.has(value);
+    });
+  });
+
+  // Filter by date range
+  if (filters.dateFrom) {
+    filtered = filtered.filter(c => c.date_received >= filters.dateFrom);
+  }
+  if (filters.dateTo) {
+    filtered = filtered.filter(c => c.date_received <= filters.dateTo);
+  }
+
+  return filtered;
+}
+
+/**
+ * Distinct values per filter field across `complaints`, for the filter bar
+ */
+export function getFilterOptions(complaints) {
+  return Object.fromEntries(Object.entries(FILTER_FIELDS).map(([field, getValue]) => {
+    const values = new Set();
+    complaints.forEach(c => {
+      const value = getValue(c);
+      if (value) values.add(value);
+    });
+    return [field, [...values].sort()];
+  }));
+}
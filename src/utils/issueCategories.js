@@ -0,0 +1,296 @@
+import aiClassifications from '../data/classifications.json';
+import labelOverrides from '../data/labelOverrides.json';
+import { format, parseISO, subMonths } from 'date-fns';
+import issueKeywords from '../data/issuePatterns.json';
+import scamTypeKeywords from '../data/scamTypePatterns.json';
+import { isLowConfidence } from './classificationLabels';
+
+// Escape special regex characters in a string
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word keyword regexes per category, compiled once
+const compiledPatterns = Object.entries(issueKeywords)
+  .filter(([id]) => id !== 'other')
+  .map(([id, keywords]) => ({
+    id,
+    regexes: keywords.map(kw => new RegExp('\\b' + escapeRegex(kw) + '\\b', 'i')),
+  }));
+
+// Analyst overrides win over classifications.json: the committed
+// labelOverrides.json plus reviews made on this page but not yet exported
+let reviewedLabels = labelOverrides;
+let pendingKey = '{}';
+// Bumped whenever reviewedLabels changes, so rows are re-annotated
+let labelsRevision = 0;
+const annotatedRevisions = new WeakMap();
+
+/**
+ * Apply the page's unexported label reviews ({ complaint_id: override }) on
+ * top of labelOverrides.json. Returns false if nothing changed.
+ */
+export function setPendingOverrides(pending) {
+  const key = JSON.stringify(pending || {});
+  if (key === pendingKey) return false;
+  pendingKey = key;
+  reviewedLabels = { ...labelOverrides, ...pending };
+  labelsRevision++;
+  return true;
+}
+
+// Claimed losses are only extracted when complaints are (re-)classified, so
+// until then no record has one and the loss UI is hidden rather than $0
+export const hasLossData = Object.values(aiClassifications).some(record => record?.loss);
+
+function getAiClassification(id) {
+  const raw = aiClassifications[id];
+  const record = typeof raw === 'string' ? { primary: raw } : raw;
+  if (!record || !(record.primary in issueKeywords)) return null;
+  return {
+    primary: record.primary,
+    secondary: (record.secondary || []).filter(id => id in issueKeywords),
+    confidence: record.confidence ?? null,
+    rationale: record.rationale ?? null,
+    model: record.model ?? null,
+    version: record.version ?? 1,
+    classified_at: record.classified_at ?? null,
+    loss: record.loss ?? null,
+    scam_type: record.primary === 'fraud' ? getStoredScamType(id) : null,
+  };
+}
+
+// The scam type stored on the classifier's record. It can be there for
+// another category too, when an analyst override says fraud.
+function getStoredScamType(id) {
+  const scamType = aiClassifications[id]?.scam_type;
+  return scamType in scamTypeKeywords ? scamType : null;
+}
+
+/**
+ * Classification record for a complaint ({ primary, secondary, confidence,
+ * rationale, model, version, classified_at, loss, scam_type }), or null.
+ * Legacy flat string entries are read as a primary category only. An
+ * analyst override is returned as a record with `reviewed: true`, its note
+ * as the rationale, the classifier's label as `original` and the
+ * classifier's extracted loss (and stored scam type, if the override says
+ * fraud).
+ */
+export function getClassification(complaint) {
+  const id = String(complaint.complaint_id);
+  const classification = getAiClassification(id);
+  const override = reviewedLabels[id];
+  if (!override || !(override.primary in issueKeywords)) return classification;
+  return {
+    primary: override.primary,
+    secondary: (override.secondary || []).filter(c => c in issueKeywords && c !== override.primary),
+    confidence: null,
+    rationale: override.note ?? null,
+    model: null,
+    version: classification?.version ?? null,
+    classified_at: override.reviewed_at ?? null,
+    reviewed: true,
+    original: classification?.primary ?? null,
+    loss: classification?.loss ?? null,
+    scam_type: override.primary === 'fraud' ? getStoredScamType(id) : null,
+  };
+}
+
+// Records from the offline keyword provider (scripts/classifiers/local.cjs)
+const isKeywordModel = (classification) => Boolean(classification?.model?.startsWith('local'));
+
+/**
+ * Category for one complaint: the classifier's primary label if there is
+ * one, otherwise the keyword fallback (precomputed in the shards, or
+ * matched on inline text)
+ */
+export function getIssueCategory(complaint) {
+  const classification = getClassification(complaint);
+  if (classification) return classification.primary;
+
+  if (complaint.keyword_category && complaint.keyword_category in issueKeywords) {
+    return complaint.keyword_category;
+  }
+
+  // Highest keyword match count wins
+  const text = complaint.complaint_what_happened || '';
+  let bestId = 'other';
+  let bestScore = 0;
+  compiledPatterns.forEach(pattern => {
+    const score = pattern.regexes.filter(rx => rx.test(text)).length;
+    if (score > bestScore) {
+      bestScore = score;
+      bestId = pattern.id;
+    }
+  });
+  return bestId;
+}
+
+/**
+ * Where a complaint's category comes from: 'reviewed' (an analyst
+ * override), 'ai' (an LLM classification), 'keyword' (the local keyword
+ * provider or the narrative keyword fallback) or 'unclassified' (no
+ * narrative)
+ */
+export function getClassificationSource(complaint) {
+  const classification = getClassification(complaint);
+  if (classification?.reviewed) return 'reviewed';
+  if (classification) return isKeywordModel(classification) ? 'keyword' : 'ai';
+  if (complaint.keyword_category || complaint.complaint_what_happened) return 'keyword';
+  return 'unclassified';
+}
+
+/**
+ * Whether the AI classifier (or an analyst override) labelled a complaint
+ * as fraud
+ */
+export function isAiFraud(complaint) {
+  return getClassification(complaint)?.primary === 'fraud';
+}
+
+/**
+ * Attach classification fields to a shard row: `classification` (without
+ * bookkeeping fields), `issue_category` (null without a narrative) and
+ * `classification_source`. The filters and the UI read these instead of
+ * bundling classifications.json on the page. Rows are only re-annotated
+ * after the overrides change.
+ */
+export function annotateComplaint(complaint) {
+  if (annotatedRevisions.get(complaint) === labelsRevision) return complaint;
+  annotatedRevisions.set(complaint, labelsRevision);
+  const classification = getClassification(complaint);
+  complaint.classification = classification && {
+    primary: classification.primary,
+    secondary: classification.secondary,
+    confidence: classification.confidence,
+    rationale: classification.rationale,
+    model: classification.model,
+    loss: classification.loss,
+    scam_type: classification.scam_type,
+    ...(classification.reviewed && { reviewed: true, original: classification.original }),
+  };
+  complaint.classification_source = getClassificationSource(complaint);
+  complaint.issue_category = complaint.classification_source === 'unclassified'
+    ? null
+    : getIssueCategory(complaint);
+  return complaint;
+}
+
+/**
+ * Percentage of complaints the AI classifier labelled as fraud
+ */
+export function getAiFraudRate(complaints) {
+  if (!complaints || complaints.length === 0) return 0;
+  const fraudCount = complaints.filter(isAiFraud).length;
+  return Math.round((fraudCount / complaints.length) * 100);
+}
+
+// Trend: last 30 days vs previous 30 days
+function getTrend(matches, thirtyDaysAgo, sixtyDaysAgo) {
+  const recentMatches = matches.filter(c => {
+    const date = new Date(c.date_received);
+    return date >= thirtyDaysAgo;
+  }).length;
+
+  const previousMatches = matches.filter(c => {
+    const date = new Date(c.date_received);
+    return date >= sixtyDaysAgo && date < thirtyDaysAgo;
+  }).length;
+
+  let trendPercent = 0;
+  let trend = 'neutral';
+  if (previousMatches > 0) {
+    trendPercent = Math.round(((recentMatches - previousMatches) / previousMatches) * 100);
+    trend = trendPercent > 0 ? 'up' : trendPercent < 0 ? 'down' : 'neutral';
+  } else if (recentMatches > 0) {
+    trend = 'up';
+    trendPercent = 100;
+  }
+  return { trend, trendPercent: Math.abs(trendPercent) };
+}
+
+// Months shown in the scam-type trend
+const SCAM_TYPE_TREND_MONTHS = 6;
+
+/**
+ * Break fraud complaints down by scam type ('untyped' for those without
+ * one): count, 30-day trend and monthly counts for the last
+ * SCAM_TYPE_TREND_MONTHS months of data. Sorted by count; empty types are
+ * left out.
+ */
+function analyzeScamTypes(fraudComplaints, thirtyDaysAgo, sixtyDaysAgo) {
+  const newest = fraudComplaints.reduce((max, c) => (c.date_received > max ? c.date_received : max), '');
+  if (!newest) return [];
+  const months = Array.from({ length: SCAM_TYPE_TREND_MONTHS }, (_, i) =>
+    format(subMonths(parseISO(newest.slice(0, 10)), SCAM_TYPE_TREND_MONTHS - 1 - i), 'yyyy-MM'));
+
+  const byType = new Map([...Object.keys(scamTypeKeywords), 'untyped'].map(id => [id, []]));
+  fraudComplaints.forEach(complaint => {
+    byType.get(getClassification(complaint)?.scam_type || 'untyped').push(complaint);
+  });
+
+  return [...byType.entries()]
+    .filter(([, matches]) => matches.length > 0)
+    .map(([id, matches]) => {
+      const monthCounts = new Map(months.map(month => [month, 0]));
+      matches.forEach(c => {
+        const month = c.date_received?.slice(0, 7);
+        if (monthCounts.has(month)) monthCounts.set(month, monthCounts.get(month) + 1);
+      });
+      return {
+        id,
+        count: matches.length,
+        ...getTrend(matches, thirtyDaysAgo, sixtyDaysAgo),
+        months: [...monthCounts.entries()].map(([month, count]) => ({
+          month,
+          label: format(parseISO(`${month}-01`), 'MMM yyyy'),
+          count,
+        })),
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Assign each narrative complaint to exactly one (primary) category and
+ * compute a 30-day trend per category, plus how often it appears as a
+ * secondary label and how many of its complaints are low-confidence.
+ * Fraud also gets a scam-type breakdown (`scamTypes`). Sorted by count,
+ * newest complaints first.
+ */
+export function analyzeIssuePatterns(narrativeComplaints) {
+  if (narrativeComplaints.length === 0) return [];
+
+  // Calculate date thresholds for trend analysis
+  const now = new Date();
+  const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+  const sixtyDaysAgo = new Date(now.getTime() - 60 * 24 * 60 * 60 * 1000);
+
+  const categorized = new Map(Object.keys(issueKeywords).map(id => [id, []]));
+  // Complaints where the category is a secondary label (they're counted
+  // under their primary category)
+  const secondaryCounts = new Map(Object.keys(issueKeywords).map(id => [id, 0]));
+  narrativeComplaints.forEach(complaint => {
+    categorized.get(getIssueCategory(complaint)).push(complaint);
+    getClassification(complaint)?.secondary.forEach(id => {
+      secondaryCounts.set(id, secondaryCounts.get(id) + 1);
+    });
+  });
+
+  return [...categorized.entries()].map(([id, matches]) => {
+    // Sort matches by date, newest first
+    const sortedMatches = [...matches].sort((a, b) => {
+      const dateA = a.date_received || '';
+      const dateB = b.date_received || '';
+      return dateB.localeCompare(dateA);
+    });
+
+    return {
+      id,
+      count: matches.length,
+      secondaryCount: secondaryCounts.get(id),
+      lowConfidenceCount: matches.filter(c => isLowConfidence(getClassification(c))).length,
+      ...getTrend(matches, thirtyDaysAgo, sixtyDaysAgo),
+      ...(id === 'fraud' && { scamTypes: analyzeScamTypes(matches, thirtyDaysAgo, sixtyDaysAgo) }),
+      complaints: sortedMatches,
+    };
+  }).sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,65 @@
+import committedOverrides from '../data/labelOverrides.json';
+import { ISSUE_CATEGORY_LABELS } from './classificationLabels';
+
+// Label reviews made in the complaint detail modals, kept in localStorage
+// until they're exported and committed as src/data/labelOverrides.json:
+//   { complaint_id: { primary, secondary, note, reviewed_at } }
+// (same record shape as scripts/classifiers/overrides.cjs)
+const STORAGE_KEY = 'labelOverrides';
+const MAX_SECONDARY = 2;
+
+const isCategory = (id) => id in ISSUE_CATEGORY_LABELS;
+
+/**
+ * Normalize an override, or null if it has no valid primary category
+ */
+export function toOverride(raw) {
+  if (!raw || !isCategory(raw.primary)) return null;
+  const secondary = Array.isArray(raw.secondary)
+    ? [...new Set(raw.secondary.filter(id => isCategory(id) && id !== raw.primary))].slice(0, MAX_SECONDARY)
+    : [];
+  return {
+    primary: raw.primary,
+    secondary,
+    note: typeof raw.note === 'string' && raw.note.trim() ? raw.note.trim() : null,
+    reviewed_at: raw.reviewed_at || new Date().toISOString(),
+  };
+}
+
+/**
+ * Read pending reviews from localStorage (empty if missing or unreadable)
+ */
+export function loadPendingOverrides() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && typeof stored === 'object') {
+      return Object.fromEntries(Object.entries(stored)
+        .map(([id, raw]) => [id, toOverride(raw)])
+        .filter(([, override]) => override));
+    }
+  } catch {
+    // Ignore storage errors and corrupt data
+  }
+  return {};
+}
+
+/**
+ * Persist pending reviews to localStorage
+ */
+export function storePendingOverrides(overrides) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+  } catch {
+    // Ignore storage errors (quota exceeded, private mode, etc.)
+  }
+}
+
+/**
+ * labelOverrides.json with pending reviews merged in, sorted by complaint ID
+ * so it can replace src/data/labelOverrides.json directly
+ */
+export function exportLabelOverrides(pending) {
+  const merged = { ...committedOverrides, ...pending };
+  const sorted = Object.fromEntries(Object.keys(merged).sort().map(id => [id, merged[id]]));
+  return JSON.stringify(sorted, null, 2) + '\n';
+}
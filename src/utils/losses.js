@@ -0,0 +1,53 @@
+// Claimed losses extracted from narratives by the classifier (see
+// scripts/classifiers/losses.cjs) and attached to rows by annotateComplaint:
+//   complaint.classification.loss = { claimed_usd, crypto, assets, severity }
+
+export const SEVERITY_LABELS = {
+  1: 'Low',
+  2: 'Minor',
+  3: 'Moderate',
+  4: 'Serious',
+  5: 'Severe',
+};
+
+const compactUsd = new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  notation: 'compact',
+  maximumFractionDigits: 1,
+});
+
+const fullUsd = new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  maximumFractionDigits: 0,
+});
+
+/**
+ * USD amount a complaint claims to have lost, or 0
+ */
+export function getClaimedLoss(complaint) {
+  return complaint.classification?.loss?.claimed_usd || 0;
+}
+
+/**
+ * Format a dollar amount, compact ($1.2M) by default
+ */
+export function formatUsd(amount, { compact = true } = {}) {
+  return (compact ? compactUsd : fullUsd).format(amount || 0);
+}
+
+/**
+ * One-line description of a loss record, e.g. "$4,200 · 0.5 BTC, 2 ETH"
+ */
+export function describeLoss(loss) {
+  if (!loss) return null;
+  const parts = [];
+  if (loss.claimed_usd) parts.push(formatUsd(loss.claimed_usd, { compact: false }));
+  if (loss.crypto?.length > 0) {
+    parts.push(loss.crypto.map(c => `${c.amount.toLocaleString('en-US')} ${c.asset}`).join(', '));
+  } else if (loss.assets?.length > 0) {
+    parts.push(loss.assets.join(', '));
+  }
+  return parts.join(' · ') || null;
+}
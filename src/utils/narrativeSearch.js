@@ -0,0 +1,259 @@
+// Full-text search over complaint narratives: an in-memory inverted index
+// with term positions (for phrases), a small boolean query language and
+// BM25 ranking. Built in the complaints worker (see runSearch there).
+//
+// Query syntax:
+//   seed phrase            both words (implicit AND)
+//   "seed phrase"          exact phrase
+//   zelle OR venmo         either word
+//   NOT refund, -refund    exclude
+//   (a OR b) AND c         grouping
+//   company:coinbase       company name, display name or alias contains
+//   state:CA               two-letter state code
+//   issue:"closing"        CFPB issue contains
+import { getCompanyEntry } from './companyUniverse';
+
+const FIELDS = new Set(['company', 'state', 'issue']);
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Lower-cased word tokens (letters and digits) of a string
+ */
+export function tokenize(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+function lex(query) {
+  const tokens = [];
+  const re = /\s*(?:(\()|(\))|(-)?(?:([a-z_]+):)?(?:"([^"]*)"?|([^\s()"]+)))/giy;
+  let pos = 0;
+  while (pos < query.length) {
+    re.lastIndex = pos;
+    const match = re.exec(query);
+    if (!match) break;
+    pos = re.lastIndex;
+    const [, open, close, negate, field, quoted, word] = match;
+    if (open) tokens.push({ type: '(' });
+    else if (close) tokens.push({ type: ')' });
+    else {
+      if (negate) tokens.push({ type: 'NOT' });
+      if (!field && quoted === undefined && OPERATORS.has(word)) {
+        tokens.push({ type: word });
+      } else {
+        tokens.push({ type: 'text', field: field?.toLowerCase(), value: quoted ?? word, quoted: quoted !== undefined });
+      }
+    }
+  }
+  if (query.slice(pos).trim()) {
+    throw new Error(`Could not parse search near "${query.slice(pos).trim()}"`);
+  }
+  return tokens;
+}
+
+function toLeaf({ field, value, quoted }) {
+  if (field && FIELDS.has(field)) {
+    return value.trim() ? { type: 'field', field, value: value.trim().toLowerCase() } : null;
+  }
+  // Unknown qualifiers are searched as plain text
+  const terms = tokenize(field ? `${field} ${value}` : value);
+  if (terms.length === 0) return null;
+  if (terms.length === 1 && !quoted) return { type: 'term', term: terms[0] };
+  return { type: 'phrase', terms };
+}
+
+/**
+ * Parse a search string into an AST of and/or/not/term/phrase/field nodes.
+ * NOT binds tightest, then AND (explicit or implied by adjacency), then OR.
+ * Returns null for an empty query; throws on unbalanced parentheses.
+ */
+export function parseQuery(query) {
+  const tokens = lex(query || '');
+  let pos = 0;
+
+  const peek = () => tokens[pos]?.type;
+
+  const parseUnary = () => {
+    if (peek() === 'NOT') {
+      pos++;
+      const child = parseUnary();
+      return child && { type: 'not', child };
+    }
+    if (peek() === '(') {
+      pos++;
+      const inner = parseOr();
+      if (peek() !== ')') throw new Error('Missing closing parenthesis in search');
+      pos++;
+      return inner;
+    }
+    if (peek() === 'text') return toLeaf(tokens[pos++]);
+    throw new Error(`Unexpected ${peek() || 'end of search'}`);
+  };
+
+  const combine = (type, children) => {
+    const kept = children.filter(Boolean);
+    if (kept.length <= 1) return kept[0] || null;
+    return { type, children: kept };
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (pos < tokens.length && peek() !== 'OR' && peek() !== ')') {
+      if (peek() === 'AND') pos++;
+      children.push(parseUnary());
+    }
+    return combine('and', children);
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() === 'OR') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return combine('or', children);
+  };
+
+  if (tokens.length === 0) return null;
+  const ast = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected ${peek()} in search`);
+  return ast;
+}
+
+/**
+ * Build an inverted index over `docs` ({ text, company, state, issue }).
+ * Postings map each term to { docIndex: [positions] }.
+ */
+export function buildSearchIndex(docs) {
+  const postings = new Map();
+  const lengths = new Array(docs.length);
+  let totalLength = 0;
+
+  docs.forEach((doc, docIndex) => {
+    const terms = tokenize(doc.text);
+    lengths[docIndex] = terms.length;
+    totalLength += terms.length;
+    terms.forEach((term, position) => {
+      let docsForTerm = postings.get(term);
+      if (!docsForTerm) postings.set(term, (docsForTerm = new Map()));
+      const positions = docsForTerm.get(docIndex);
+      if (positions) positions.push(position);
+      else docsForTerm.set(docIndex, [position]);
+    });
+  });
+
+  const fields = docs.map(doc => {
+    const entry = getCompanyEntry(doc.company);
+    return {
+      company: [doc.company, entry?.displayName, ...(entry?.aliases || [])].filter(Boolean).join('\n').toLowerCase(),
+      state: (doc.state || '').toLowerCase(),
+      issue: (doc.issue || '').toLowerCase(),
+    };
+  });
+
+  return {
+    postings,
+    lengths,
+    fields,
+    size: docs.length,
+    avgLength: docs.length > 0 ? totalLength / docs.length : 0,
+  };
+}
+
+function matchPhrase(index, terms) {
+  const lists = terms.map(term => index.postings.get(term));
+  if (lists.some(list => !list)) return new Map();
+
+  const counts = new Map();
+  lists[0].forEach((starts, docIndex) => {
+    const rest = lists.slice(1).map(list => list.get(docIndex));
+    if (rest.some(positions => !positions)) return;
+    const restSets = rest.map(positions => new Set(positions));
+    const count = starts.filter(start => restSets.every((set, i) => set.has(start + i + 1))).length;
+    if (count > 0) counts.set(docIndex, count);
+  });
+  return counts;
+}
+
+function evaluate(index, node, scoring, negated) {
+  switch (node.type) {
+    case 'term':
+    case 'phrase': {
+      const counts = node.type === 'term'
+        ? new Map([...(index.postings.get(node.term) || [])].map(([doc, positions]) => [doc, positions.length]))
+        : matchPhrase(index, node.terms);
+      if (!negated) scoring.push(counts);
+      return new Set(counts.keys());
+    }
+    case 'field': {
+      const matches = new Set();
+      index.fields.forEach((fields, docIndex) => {
+        const value = fields[node.field];
+        if (node.field === 'state' ? value === node.value : value.includes(node.value)) {
+          matches.add(docIndex);
+        }
+      });
+      return matches;
+    }
+    case 'not': {
+      const excluded = evaluate(index, node.child, scoring, !negated);
+      const matches = new Set();
+      for (let i = 0; i < index.size; i++) {
+        if (!excluded.has(i)) matches.add(i);
+      }
+      return matches;
+    }
+    case 'and': {
+      const [first, ...rest] = node.children.map(child => evaluate(index, child, scoring, negated));
+      return new Set([...first].filter(doc => rest.every(set => set.has(doc))));
+    }
+    case 'or': {
+      const matches = new Set();
+      node.children.forEach(child => evaluate(index, child, scoring, negated).forEach(doc => matches.add(doc)));
+      return matches;
+    }
+    default:
+      throw new Error(`Unknown search node: ${node.type}`);
+  }
+}
+
+/**
+ * Run a parsed query against an index. Returns [{ docIndex, score }] best
+ * first; documents matched only by qualifiers or NOT score 0.
+ */
+export function searchIndex(index, ast) {
+  if (!ast) return [];
+  const scoring = [];
+  const matches = evaluate(index, ast, scoring, false);
+
+  const idfs = scoring.map(counts => Math.log(1 + (index.size - counts.size + 0.5) / (counts.size + 0.5)));
+
+  return [...matches].map(docIndex => {
+    const norm = K1 * (1 - B + B * (index.lengths[docIndex] / (index.avgLength || 1)));
+    const score = scoring.reduce((sum, counts, i) => {
+      const tf = counts.get(docIndex) || 0;
+      return sum + (tf > 0 ? idfs[i] * (tf * (K1 + 1)) / (tf + norm) : 0);
+    }, 0);
+    return { docIndex, score };
+  }).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Words and phrases from a query worth highlighting in matched narratives
+ * (everything except qualifiers and negated terms)
+ */
+export function getHighlightTerms(ast) {
+  const terms = [];
+  const walk = (node, negated) => {
+    if (!node) return;
+    if (node.type === 'term' && !negated) terms.push(node.term);
+    else if (node.type === 'phrase' && !negated) terms.push(node.terms.join(' '));
+    else if (node.type === 'not') walk(node.child, !negated);
+    else if (node.children) node.children.forEach(child => walk(child, negated));
+  };
+  walk(ast, false);
+  return [...new Set(terms)];
+}
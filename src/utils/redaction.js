@@ -0,0 +1,43 @@
+// Narratives scrubbed by scripts/redact-narratives.cjs carry a
+// `[REDACTED EMAIL]`-style token wherever residual PII was masked, and the
+// complaint row lists the masked types: complaint.redacted = ['email', ...]
+
+// Display names for the PII types in redact-narratives.cjs
+export const REDACTION_TYPE_LABELS = {
+  email: 'email',
+  tx_hash: 'tx hash',
+  wallet: 'wallet address',
+  card: 'card number',
+  ssn: 'SSN',
+  phone: 'phone number',
+};
+
+export const REDACTION_TOKEN_PATTERN = /\[REDACTED ([A-Z ]+)\]/g;
+
+export const REDACTION_MARKER_CLASS =
+  'inline-flex items-center px-1 rounded text-xs font-medium bg-slate-200 dark:bg-slate-600 text-slate-700 dark:text-slate-200';
+
+export const REDACTION_MARKER_TITLE = 'Personal information masked before publishing';
+
+/**
+ * Marker text for a redaction token's label, e.g. "TX HASH" -> "redacted tx hash"
+ */
+export function getRedactionMarkerText(label) {
+  return `redacted ${label.toLowerCase()}`;
+}
+
+/**
+ * Split a narrative into plain text and redaction marker parts:
+ * [{ text }, { redacted: 'EMAIL' }, ...]
+ */
+export function splitRedactions(text) {
+  const parts = [];
+  let lastEnd = 0;
+  for (const match of (text || '').matchAll(REDACTION_TOKEN_PATTERN)) {
+    if (match.index > lastEnd) parts.push({ text: text.slice(lastEnd, match.index) });
+    parts.push({ redacted: match[1] });
+    lastEnd = match.index + match[0].length;
+  }
+  if (lastEnd < (text || '').length) parts.push({ text: text.slice(lastEnd) });
+  return parts;
+}
@@ -0,0 +1,100 @@
+import { normalizeFilters } from './filterComplaints';
+
+// Named filter presets, kept in localStorage:
+//   { version, defaultViewId, views: [{ id, name, filters, panels, createdAt }] }
+const STORAGE_KEY = 'savedViews';
+const VERSION = 1;
+
+export const EMPTY_SAVED_VIEWS = { version: VERSION, defaultViewId: null, views: [] };
+
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function toView(raw) {
+  if (!raw || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+  return {
+    id: typeof raw.id === 'string' ? raw.id : createId(),
+    name: raw.name.trim(),
+    filters: normalizeFilters(raw.filters && typeof raw.filters === 'object' ? raw.filters : {}),
+    panels: raw.panels && typeof raw.panels === 'object' ? raw.panels : {},
+    createdAt: raw.createdAt || new Date().toISOString(),
+  };
+}
+
+/**
+ * Read saved views from localStorage (empty if missing or unreadable)
+ */
+export function loadSavedViews() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && Array.isArray(stored.views)) {
+      const views = stored.views.map(toView).filter(Boolean);
+      const defaultViewId = views.some(v => v.id === stored.defaultViewId) ? stored.defaultViewId : null;
+      return { version: VERSION, defaultViewId, views };
+    }
+  } catch {
+    // Ignore storage errors and corrupt data
+  }
+  return EMPTY_SAVED_VIEWS;
+}
+
+/**
+ * Persist saved views to localStorage
+ */
+export function storeSavedViews(store) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch {
+    // Ignore storage errors (quota exceeded, private mode, etc.)
+  }
+}
+
+/**
+ * The default view, if one is set
+ */
+export function getDefaultView(store) {
+  return store.views.find(v => v.id === store.defaultViewId) || null;
+}
+
+/**
+ * Add a view, replacing any existing view with the same name
+ */
+export function addView(store, { name, filters, panels }) {
+  const view = toView({ name, filters, panels });
+  if (!view) return store;
+  const existing = store.views.find(v => v.name === view.name);
+  if (existing) view.id = existing.id;
+  return {
+    ...store,
+    views: [...store.views.filter(v => v.name !== view.name), view],
+  };
+}
+
+/**
+ * Serialize views for export as a JSON file
+ */
+export function exportViews(store) {
+  return JSON.stringify({ version: VERSION, views: store.views }, null, 2);
+}
+
+/**
+ * Merge views from an exported JSON file. Views with a name that already
+ * exists replace it. Throws if the file isn't a saved-views export.
+ */
+export function importViews(store, text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('Not a valid JSON file');
+  }
+  const incoming = Array.isArray(parsed) ? parsed : parsed?.views;
+  if (!Array.isArray(incoming)) {
+    throw new Error('No saved views found in file');
+  }
+  return incoming.reduce((next, raw) => {
+    const view = toView(raw);
+    return view ? addView(next, view) : next;
+  }, store);
+}
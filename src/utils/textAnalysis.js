@@ -191,9 +191,16 @@ export function categorizeByTheme(complaints) {
     .sort((a, b) => b.count - a.count);
 }
 
+/**
+ * Narrative length, whether the text is inline or lazily loaded from shards
+ */
+export function getNarrativeLength(complaint) {
+  return complaint.narrative_length ?? complaint.complaint_what_happened?.length ?? 0;
+}
+
 /**
  * Get complaints with narratives
  */
 export function getComplaintsWithNarratives(complaints) {
-  return complaints.filter(c => c.complaint_what_happened && c.complaint_what_happened.length > 50);
+  return complaints.filter(c => getNarrativeLength(c) > 50);
 }
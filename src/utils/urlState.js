@@ -0,0 +1,62 @@
+import { FILTER_FIELDS, normalizeFilters } from './filterComplaints';
+
+// Dashboard view state <-> query string, for shareable links.
+//
+//   ?company=Coinbase%2C+Inc.&company=Kraken   included values (repeatable)
+//   &not.issue=Other                           excluded values (repeatable)
+//   &from=2024-01-01&to=2024-06-30             date range
+//   &removed=1                                 include withdrawn complaints
+//   &complaint=17918037                        open complaint modal
+//   &pattern=fraud                             open IssueInsights pattern
+//   &q=seed+phrase                             narrative search
+
+const EXCLUDE_PREFIX = 'not.';
+
+/**
+ * Parse a location.search string into { filters, complaint, pattern, q }
+ */
+export function parseViewState(search) {
+  const params = new URLSearchParams(search);
+  const filters = {};
+
+  Object.keys(FILTER_FIELDS).forEach(field => {
+    const include = params.getAll(field);
+    const exclude = params.getAll(EXCLUDE_PREFIX + field);
+    if (include.length > 0 || exclude.length > 0) {
+      filters[field] = { include, exclude };
+    }
+  });
+  if (params.get('from')) filters.dateFrom = params.get('from');
+  if (params.get('to')) filters.dateTo = params.get('to');
+  if (params.get('removed') === '1') filters.includeRemoved = true;
+
+  return {
+    filters: normalizeFilters(filters),
+    complaint: params.get('complaint') || null,
+    pattern: params.get('pattern') || null,
+    q: params.get('q') || '',
+  };
+}
+
+/**
+ * Serialize view state to a query string ('' when there is nothing to keep)
+ */
+export function serializeViewState({ filters = {}, complaint, pattern, q }) {
+  const params = new URLSearchParams();
+  const normalized = normalizeFilters(filters);
+
+  Object.keys(FILTER_FIELDS).forEach(field => {
+    if (!normalized[field]) return;
+    normalized[field].include.forEach(value => params.append(field, value));
+    normalized[field].exclude.forEach(value => params.append(EXCLUDE_PREFIX + field, value));
+  });
+  if (normalized.dateFrom) params.set('from', normalized.dateFrom);
+  if (normalized.dateTo) params.set('to', normalized.dateTo);
+  if (normalized.includeRemoved) params.set('removed', '1');
+  if (complaint) params.set('complaint', complaint);
+  if (pattern) params.set('pattern', pattern);
+  if (q) params.set('q', q);
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
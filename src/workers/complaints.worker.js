@@ -0,0 +1,196 @@
+// Filtering and aggregation off the main thread. The worker owns the loaded
+// shards; the page sends filter objects and gets back everything the
+// dashboard panels render. Results are cached by normalized filter key.
+import {
+  loadShardIndex,
+  getMonthsForRange,
+  loadComplaintShards,
+  loadNarrativeShard,
+} from '../utils/complaintShards';
+import { filterComplaints, getFilterKey, normalizeFilters, getFilterOptions } from '../utils/filterComplaints';
+import {
+  groupByMonth,
+  groupByCompany,
+  groupByState,
+  groupByWeek,
+  calculateMetrics,
+  buildCompanyDetails,
+} from '../utils/dataProcessing';
+import { getComplaintsWithNarratives } from '../utils/textAnalysis';
+import {
+  analyzeIssuePatterns,
+  isAiFraud,
+  getAiFraudRate,
+  annotateComplaint,
+  hasLossData,
+  setPendingOverrides,
+} from '../utils/issueCategories';
+import { canUseCube, summarizeCube } from '../utils/aggregateCube';
+import { parseQuery, buildSearchIndex, searchIndex, getHighlightTerms } from '../utils/narrativeSearch';
+
+// Pre-computed cube written by scripts/build-aggregates.cjs
+const AGGREGATES_URL = `${import.meta.env.BASE_URL}data/aggregates.json`;
+let cubeRequest = null;
+
+function loadCube() {
+  if (!cubeRequest) {
+    cubeRequest = fetch(AGGREGATES_URL).then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load aggregates.json (HTTP ${response.status})`);
+      }
+      return response.json();
+    });
+    cubeRequest.catch(() => { cubeRequest = null; });
+  }
+  return cubeRequest;
+}
+
+// Month/company/state aggregates from the cube, or null when the filters
+// need row-level data (or the cube is missing) and only `query` can answer
+async function runSummary(filters) {
+  const normalized = normalizeFilters(filters);
+  if (!canUseCube(normalized)) return null;
+  try {
+    return summarizeCube(await loadCube(), normalized);
+  } catch {
+    return null;
+  }
+}
+
+// Shard rows for the given months, with classification fields attached
+async function loadRows(months) {
+  const rows = await loadComplaintShards(months);
+  rows.forEach(annotateComplaint);
+  return rows;
+}
+
+const MAX_CACHED_RESULTS = 20;
+const resultCache = new Map();
+
+async function runQuery(filters) {
+  const key = getFilterKey(filters);
+  if (resultCache.has(key)) {
+    // Re-insert so the Map's order doubles as least-recently-used order
+    const cached = resultCache.get(key);
+    resultCache.delete(key);
+    resultCache.set(key, cached);
+    return cached;
+  }
+
+  const index = await loadShardIndex();
+  const rows = await loadRows(getMonthsForRange(index, filters.dateFrom, filters.dateTo));
+
+  // Newest first, so panels and lists don't each need to sort
+  const data = filterComplaints(rows, filters)
+    .sort((a, b) => (b.date_received || '').localeCompare(a.date_received || ''));
+  const narrativeData = getComplaintsWithNarratives(data);
+  const companyData = groupByCompany(data);
+
+  const result = {
+    data,
+    latestDate: data[0]?.date_received || null,
+    trendData: groupByMonth(data),
+    companyData,
+    companyDetails: buildCompanyDetails(companyData, data, isAiFraud),
+    metrics: calculateMetrics(data),
+    fraudRate: getAiFraudRate(data),
+    narrativeCount: narrativeData.length,
+    issuePatterns: analyzeIssuePatterns(narrativeData),
+    stateCounts: groupByState(data),
+    weeklyHistory: groupByWeek(data),
+    hasLossData,
+    // Options come from every loaded row, so picking one value doesn't hide the rest
+    filterOptions: getFilterOptions(rows.filter(c => !c.removed_at)),
+  };
+
+  resultCache.set(key, result);
+  if (resultCache.size > MAX_CACHED_RESULTS) {
+    resultCache.delete(resultCache.keys().next().value);
+  }
+  return result;
+}
+
+const MAX_SEARCH_RESULTS = 200;
+let searchIndexRequest = null;
+
+// Inverted index over every narrative, built on the first search. This is
+// the one path that downloads all narrative shards.
+function loadSearchIndex() {
+  if (!searchIndexRequest) {
+    searchIndexRequest = (async () => {
+      const index = await loadShardIndex();
+      const months = index.months.map(m => m.month);
+      const [rows, narrativeShards] = await Promise.all([
+        loadRows(months),
+        Promise.all(months.map(loadNarrativeShard)),
+      ]);
+      const narratives = Object.assign({}, ...narrativeShards);
+
+      const docs = rows.filter(c => !c.removed_at && c.narrative_length);
+      return {
+        docs,
+        index: buildSearchIndex(docs.map(c => ({
+          text: narratives[String(c.complaint_id)],
+          company: c.company,
+          state: c.state,
+          issue: c.issue,
+        }))),
+      };
+    })();
+    searchIndexRequest.catch(() => { searchIndexRequest = null; });
+  }
+  return searchIndexRequest;
+}
+
+async function runSearch(query) {
+  const ast = parseQuery(query);
+  const { docs, index } = await loadSearchIndex();
+
+  // Best match first; equal scores (e.g. qualifier-only searches) newest first.
+  // Docs were annotated when the index was built, so refresh their labels.
+  const hits = searchIndex(index, ast)
+    .map(({ docIndex, score }) => ({ complaint: annotateComplaint(docs[docIndex]), score }))
+    .sort((a, b) => b.score - a.score ||
+      (b.complaint.date_received || '').localeCompare(a.complaint.date_received || ''));
+
+  return {
+    total: hits.length,
+    results: hits.slice(0, MAX_SEARCH_RESULTS),
+    terms: getHighlightTerms(ast),
+  };
+}
+
+// Find one complaint by ID across every month, regardless of filters
+async function findComplaint(id) {
+  const index = await loadShardIndex();
+  const rows = await loadRows(index.months.map(m => m.month));
+  return rows.find(c => String(c.complaint_id) === String(id)) || null;
+}
+
+// Unexported label reviews from the page; cached results used the old labels
+function applyOverrides(overrides) {
+  if (setPendingOverrides(overrides)) resultCache.clear();
+  return null;
+}
+
+const handlers = {
+  index: () => loadShardIndex(),
+  summary: ({ filters }) => runSummary(filters || {}),
+  query: ({ filters }) => runQuery(filters || {}),
+  search: ({ query }) => runSearch(query || ''),
+  complaint: ({ complaintId }) => findComplaint(complaintId),
+  overrides: ({ overrides }) => applyOverrides(overrides || {}),
+};
+
+self.onmessage = async (event) => {
+  const { id, type, ...payload } = event.data;
+  try {
+    if (!handlers[type]) {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+    const result = await handlers[type](payload);
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,21 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { canUseCube } from '../src/utils/aggregateCube.js';
+import { normalizeFilters } from '../src/utils/filterComplaints.js';
+
+test('canUseCube answers company, issue, state and month-start filters', () => {
+  assert.equal(canUseCube({}), true);
+  assert.equal(canUseCube(normalizeFilters({
+    company: { include: ['Coinbase, Inc.'], exclude: [] },
+    issue: { include: [], exclude: ['Other'] },
+    state: 'CA',
+    dateFrom: '2024-03-01',
+  })), true);
+});
+
+test('canUseCube falls back to rows for other filters', () => {
+  assert.equal(canUseCube({ dateFrom: '2024-03-15' }), false);
+  assert.equal(canUseCube({ dateTo: '2024-06-30' }), false);
+  assert.equal(canUseCube(normalizeFilters({ category: 'Fraud/Scam' })), false);
+  assert.equal(canUseCube({ includeRemoved: true }), false);
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { filterComplaints, getFilterKey, normalizeFieldFilter, setFilterValue } from '../src/utils/filterComplaints.js';
+
+const COMPLAINTS = [
+  { complaint_id: '1', company: 'Coinbase, Inc.', state: 'CA', issue: 'Fraud or scam', date_received: '2024-01-10' },
+  { complaint_id: '2', company: 'Kraken', state: 'NY', issue: 'Other', date_received: '2024-02-10' },
+  { complaint_id: '3', company: 'Kraken', state: 'CA', issue: 'Fraud or scam', date_received: '2024-03-10' },
+  { complaint_id: '4', company: 'Block, Inc.', state: 'TX', issue: 'Other', date_received: '2024-04-10', removed_at: '2024-05-01' },
+];
+
+const ids = filters => filterComplaints(COMPLAINTS, filters).map(c => c.complaint_id);
+
+test('filterComplaints keeps included values and drops excluded ones', () => {
+  assert.deepEqual(ids({ company: { include: ['Kraken'], exclude: [] } }), ['2', '3']);
+  assert.deepEqual(ids({ state: { include: [], exclude: ['CA'] } }), ['2']);
+  assert.deepEqual(ids({
+    company: { include: ['Kraken', 'Coinbase, Inc.'], exclude: [] },
+    issue: { include: [], exclude: ['Other'] },
+  }), ['1', '3']);
+});
+
+test('filterComplaints treats a bare string as one include', () => {
+  assert.deepEqual(ids({ state: 'CA' }), ['1', '3']);
+  assert.deepEqual(ids({ state: 'all' }), ['1', '2', '3']);
+});
+
+test('filterComplaints hides withdrawn complaints unless asked and applies the date range', () => {
+  assert.deepEqual(ids({ includeRemoved: true, dateFrom: '2024-02-01' }), ['2', '3', '4']);
+  assert.deepEqual(ids({ dateFrom: '2024-02-01', dateTo: '2024-02-28' }), ['2']);
+});
+
+test('setFilterValue moves a value between include and exclude', () => {
+  let filters = setFilterValue({}, 'state', 'CA', 'include');
+  assert.deepEqual(filters.state, { include: ['CA'], exclude: [] });
+  filters = setFilterValue(filters, 'state', 'CA', 'exclude');
+  assert.deepEqual(filters.state, { include: [], exclude: ['CA'] });
+  filters = setFilterValue(filters, 'state', 'CA', null);
+  assert.deepEqual(normalizeFieldFilter(filters.state), { include: [], exclude: [] });
+});
+
+test('getFilterKey is the same for equivalent filters', () => {
+  assert.equal(
+    getFilterKey({ state: { include: ['NY', 'CA', 'CA'] }, company: 'all', dateTo: '' }),
+    getFilterKey({ state: { include: ['CA', 'NY'], exclude: [] } }),
+  );
+});
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import fs from 'node:fs';
+import { pipeline } from 'node:stream/promises';
+import { mock, test } from 'node:test';
+import zlib from 'node:zlib';
+import { parseCsv, parseZipLocalHeader, readFirstZipEntry, toHit } from '../scripts/import-cfpb-csv.cjs';
+
+const SAMPLE_ZIP = new URL('../scripts/recordings/cfpb-export-sample.csv.zip', import.meta.url);
+
+async function collectRows(...stages) {
+  const rows = [];
+  await pipeline(...stages, parseCsv, async (source) => {
+    for await (const row of source) rows.push(row);
+  });
+  return rows;
+}
+
+test('parseCsv handles quotes, commas and newlines split across chunks', async () => {
+  const chunks = ['\uFEFFa,b,c\r\n"x, ""quoted""', '\nline",,"last"', '\r\n1,2,3'];
+  const rows = await collectRows(chunks.map(chunk => Buffer.from(chunk)));
+  assert.deepEqual(rows, [
+    ['a', 'b', 'c'],
+    ['x, "quoted"\nline', '', 'last'],
+    ['1', '2', '3'],
+  ]);
+});
+
+test('parseCsv decodes multi-byte characters split across chunks', async () => {
+  const bytes = Buffer.from('name\ncafé\n');
+  const split = bytes.indexOf(0xC3) + 1;
+  const rows = await collectRows([bytes.subarray(0, split), bytes.subarray(split)]);
+  assert.deepEqual(rows, [['name'], ['café']]);
+});
+
+test('the sample export unzips to its first entry only', async () => {
+  mock.method(console, 'log', () => {});
+  try {
+    const rows = await collectRows(fs.createReadStream(SAMPLE_ZIP, { highWaterMark: 64 }), readFirstZipEntry, zlib.createInflateRaw());
+    assert.equal(rows[0][0], 'Date received');
+    assert.equal(rows.length, 7);
+    assert.ok(rows.slice(1).every(row => row.length === rows[0].length));
+  } finally {
+    mock.restoreAll();
+  }
+});
+
+test('parseZipLocalHeader waits for the whole header and rejects other input', () => {
+  const zip = fs.readFileSync(SAMPLE_ZIP);
+  assert.equal(parseZipLocalHeader(zip.subarray(0, 20)), null);
+  assert.equal(parseZipLocalHeader(zip).name, 'complaints.csv');
+  assert.throws(() => parseZipLocalHeader(Buffer.alloc(64)), /not a ZIP archive/);
+});
+
+test('toHit shapes an export row like an API hit', () => {
+  const fieldIndexes = [['date_received', 0], ['complaint_what_happened', 1], ['state', 2], ['complaint_id', 3]];
+  assert.deepEqual(toHit(['2026-09-09', '', '', '99100001'], fieldIndexes), {
+    _id: '99100001',
+    _source: {
+      date_received: '2026-09-09T12:00:00-05:00',
+      complaint_what_happened: '',
+      state: null,
+      complaint_id: '99100001',
+      has_narrative: false,
+    },
+  });
+});
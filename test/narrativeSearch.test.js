@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildSearchIndex, getHighlightTerms, parseQuery, searchIndex } from '../src/utils/narrativeSearch.js';
+
+const DOCS = [
+  { text: 'Someone asked for my seed phrase and drained the wallet', company: 'Coinbase, Inc.', state: 'CA', issue: 'Fraud or scam' },
+  { text: 'The seed was fine but the phrase recovery failed', company: 'Kraken', state: 'NY', issue: 'Other transaction problem' },
+  { text: 'Zelle refund refused after a scam. Scam scam scam.', company: 'Block, Inc.', state: 'CA', issue: 'Fraud or scam' },
+  { text: 'Withdrawal stuck for weeks, support gave a refund of fees after a scam report', company: 'Kraken', state: 'TX', issue: 'Other transaction problem' },
+];
+
+const search = query => searchIndex(buildSearchIndex(DOCS), parseQuery(query)).map(r => r.docIndex);
+
+test('parseQuery gives NOT, then AND, then OR precedence', () => {
+  assert.deepEqual(parseQuery('a b OR -c'), {
+    type: 'or',
+    children: [
+      { type: 'and', children: [{ type: 'term', term: 'a' }, { type: 'term', term: 'b' }] },
+      { type: 'not', child: { type: 'term', term: 'c' } },
+    ],
+  });
+  assert.equal(parseQuery('(a OR b) AND c').children[0].type, 'or');
+});
+
+test('parseQuery reads phrases and qualifiers', () => {
+  assert.deepEqual(parseQuery('"Seed Phrase"'), { type: 'phrase', terms: ['seed', 'phrase'] });
+  assert.deepEqual(parseQuery('company:Coinbase state:ca'), {
+    type: 'and',
+    children: [
+      { type: 'field', field: 'company', value: 'coinbase' },
+      { type: 'field', field: 'state', value: 'ca' },
+    ],
+  });
+  // Unknown qualifiers are searched as text
+  assert.deepEqual(parseQuery('wallet:ledger'), { type: 'phrase', terms: ['wallet', 'ledger'] });
+});
+
+test('parseQuery returns null for an empty search and throws on bad grouping', () => {
+  assert.equal(parseQuery('   '), null);
+  assert.throws(() => parseQuery('(seed OR phrase'), /closing parenthesis/);
+  assert.throws(() => parseQuery('seed)'), /Unexpected \)/);
+});
+
+test('searchIndex matches phrases only in order', () => {
+  assert.deepEqual(search('"seed phrase"'), [0]);
+  assert.deepEqual(search('seed phrase').sort(), [0, 1]);
+});
+
+test('searchIndex applies OR, NOT and qualifiers', () => {
+  assert.deepEqual(search('zelle OR drained').sort(), [0, 2]);
+  assert.deepEqual(search('scam -refund'), []);
+  assert.deepEqual(search('refund NOT state:tx'), [2]);
+  assert.deepEqual(search('company:coinbase'), [0]);
+});
+
+test('searchIndex ranks by BM25, term frequency first', () => {
+  const results = searchIndex(buildSearchIndex(DOCS), parseQuery('scam'));
+  assert.deepEqual(results.map(r => r.docIndex), [2, 3]);
+  assert.ok(results[0].score > results[1].score);
+  // Qualifier-only matches score 0
+  assert.equal(searchIndex(buildSearchIndex(DOCS), parseQuery('state:ca'))[0].score, 0);
+});
+
+test('getHighlightTerms skips negated terms', () => {
+  assert.deepEqual(getHighlightTerms(parseQuery('"seed phrase" OR wallet -refund company:kraken')), ['seed phrase', 'wallet']);
+});
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { redactHits, scrubNarrative } from '../scripts/redact-narratives.cjs';
+
+const TX_HASH = 'ab'.repeat(32);
+const ETH_WALLET = '0x' + '1f'.repeat(20);
+
+test('scrubNarrative masks each kind of residual PII', () => {
+  const cases = [
+    ['Email me at jane.doe@example.com today', 'Email me at [REDACTED EMAIL] today', 'email'],
+    [`The transfer ${TX_HASH} never arrived`, 'The transfer [REDACTED TX HASH] never arrived', 'tx_hash'],
+    [`Sent to 0x${TX_HASH}`, 'Sent to [REDACTED TX HASH]', 'tx_hash'],
+    [`Sent to ${ETH_WALLET}`, 'Sent to [REDACTED WALLET]', 'wallet'],
+    ['Sent to 1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa', 'Sent to [REDACTED WALLET]', 'wallet'],
+    ['Card 4111 1111 1111 1111 was charged', 'Card [REDACTED CARD NUMBER] was charged', 'card'],
+    ['My SSN 123-45-6789 was exposed', 'My SSN [REDACTED SSN] was exposed', 'ssn'],
+    ['Call (415) 555-0123 or +1 415.555.0199', 'Call [REDACTED PHONE] or [REDACTED PHONE]', 'phone'],
+  ];
+  for (const [input, expected, type] of cases) {
+    const { text, redactions } = scrubNarrative(input);
+    assert.equal(text, expected);
+    assert.deepEqual(Object.keys(redactions), [type]);
+  }
+});
+
+test('scrubNarrative leaves lookalikes and CFPB masking alone', () => {
+  for (const input of [
+    'I wrote to XXXX@XXXX.com about it',
+    'Order 1234 5678 9012 3456 failed',
+    'Reference number 20240115000123456',
+    'An extraordinarilylongwordwithoutanydigitsinit',
+  ]) {
+    assert.deepEqual(scrubNarrative(input), { text: input, redactions: {} });
+  }
+});
+
+test('scrubbing is idempotent', () => {
+  const { text } = scrubNarrative(`Email jane@example.com, wallet ${ETH_WALLET}`);
+  assert.deepEqual(scrubNarrative(text), { text, redactions: {} });
+});
+
+test('redactHits scrubs narratives in place and logs counts per complaint', () => {
+  const hits = [
+    { _id: '1', _source: { complaint_what_happened: 'Call 415-555-0123 or 415-555-0199' } },
+    { _id: '2', _source: { complaint_what_happened: 'Nothing to mask' } },
+    { _id: '3', _source: { complaint_what_happened: '' } },
+  ];
+  const entries = redactHits(hits);
+  assert.equal(hits[0]._source.complaint_what_happened, 'Call [REDACTED PHONE] or [REDACTED PHONE]');
+  assert.deepEqual(hits[0]._source.redacted, ['phone']);
+  assert.deepEqual(entries, [{ complaint_id: '1', date_received: '', redactions: { phone: 2 } }]);
+  assert.equal(hits[1]._source.redacted, undefined);
+});
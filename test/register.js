@@ -0,0 +1,6 @@
+import { register } from 'node:module';
+
+// The src modules are written for Vite: relative imports leave off the .js
+// extension and JSON is imported without attributes. resolve-hooks.js lets
+// node --test load them as they are.
+register('./resolve-hooks.js', import.meta.url);
@@ -0,0 +1,22 @@
+const RELATIVE = /^\.{1,2}\//;
+const HAS_EXTENSION = /\.[a-z]+$/i;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (RELATIVE.test(specifier) && !HAS_EXTENSION.test(specifier)) {
+    for (const extension of ['.js', '.jsx']) {
+      try {
+        return await nextResolve(specifier + extension, context);
+      } catch (err) {
+        if (err.code !== 'ERR_MODULE_NOT_FOUND') throw err;
+      }
+    }
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.endsWith('.json')) {
+    return nextLoad(url, { ...context, importAttributes: { type: 'json' } });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { mock, test } from 'node:test';
+import { PROMPT_OVERHEAD_TOKENS, estimateComplaintTokens } from '../scripts/classifiers/prompt.cjs';
+import { getRetryAfterMs, packBatches, runClassification } from '../scripts/classifiers/scheduler.cjs';
+
+const complaint = (id, length = 400) => ({ complaint_id: id, complaint_what_happened: 'x'.repeat(length) });
+
+test('packBatches caps batches by count', () => {
+  const complaints = ['1', '2', '3', '4', '5'].map(id => complaint(id));
+  const batches = packBatches(complaints, { batchSize: 2, maxBatchTokens: null });
+  assert.deepEqual(batches.map(b => b.map(c => c.complaint_id)), [['1', '2'], ['3', '4'], ['5']]);
+});
+
+test('packBatches keeps batches within the token budget', () => {
+  const complaints = ['1', '2', '3', '4'].map(id => complaint(id));
+  const maxBatchTokens = PROMPT_OVERHEAD_TOKENS + 2 * estimateComplaintTokens(complaints[0]);
+  const batches = packBatches(complaints, { batchSize: 10, maxBatchTokens });
+  assert.deepEqual(batches.map(b => b.length), [2, 2]);
+});
+
+test('packBatches gives an oversized complaint a batch of its own', () => {
+  const complaints = [complaint('1'), complaint('2', 20000), complaint('3')];
+  const maxBatchTokens = PROMPT_OVERHEAD_TOKENS + 2 * estimateComplaintTokens(complaints[0]);
+  const batches = packBatches(complaints, { batchSize: 10, maxBatchTokens });
+  assert.deepEqual(batches.map(b => b.map(c => c.complaint_id)), [['1'], ['2'], ['3']]);
+});
+
+test('runClassification stops sending batches once maxCost is reached', async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  const classifier = {
+    model: 'test',
+    batchSize: 1,
+    maxBatchTokens: null,
+    pricing: { input: 1, output: 0 },
+    // $1 per batch
+    classifyBatch: async batch => ({
+      results: Object.fromEntries(batch.map(c => [c.complaint_id, {}])),
+      usage: { inputTokens: 1e6, outputTokens: 0 },
+    }),
+  };
+  try {
+    const summary = await runClassification(classifier, ['1', '2', '3', '4'].map(id => complaint(id)), { maxCost: 1.5 });
+    assert.equal(summary.classified, 2);
+    assert.equal(summary.skipped, 2);
+    assert.equal(summary.requests, 2);
+    assert.equal(summary.cost, 2);
+  } finally {
+    mock.restoreAll();
+  }
+});
+
+test('getRetryAfterMs reads Retry-After headers and Gemini retry delays', () => {
+  assert.equal(getRetryAfterMs({ headers: { 'retry-after': '12' } }), 12000);
+  assert.equal(getRetryAfterMs({ headers: new Headers({ 'retry-after': '3' }) }), 3000);
+  assert.equal(getRetryAfterMs({ errorDetails: [{ retryDelay: '7.5s' }] }), 7500);
+  assert.equal(getRetryAfterMs(new Error('boom')), null);
+});
@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { normalizeFilters } from '../src/utils/filterComplaints.js';
+import { parseViewState, serializeViewState } from '../src/utils/urlState.js';
+
+test('view state survives a round trip through the query string', () => {
+  const view = {
+    filters: normalizeFilters({
+      company: { include: ['Coinbase, Inc.', 'Kraken'], exclude: [] },
+      issue: { include: [], exclude: ['Other'] },
+      dateFrom: '2024-01-01',
+      dateTo: '2024-06-30',
+      includeRemoved: true,
+    }),
+    complaint: '17918037',
+    pattern: 'fraud',
+    q: '"seed phrase" -refund',
+  };
+  assert.deepEqual(parseViewState(serializeViewState(view)), view);
+});
+
+test('an empty view serializes to an empty query string', () => {
+  assert.equal(serializeViewState({ filters: { company: 'all', includeRemoved: false } }), '');
+  assert.deepEqual(parseViewState(''), { filters: {}, complaint: null, pattern: null, q: '' });
+});
+
+test('parseViewState reads repeated and excluded values', () => {
+  const { filters } = parseViewState('?state=NY&state=CA&not.company=Kraken&removed=0');
+  assert.deepEqual(filters, {
+    company: { include: [], exclude: ['Kraken'] },
+    state: { include: ['CA', 'NY'], exclude: [] },
+  });
+});